@@ -81,39 +81,6 @@ class AutoDev {
     }
   }
 
-  startWatcher() {
-    log.watch("Starting file watcher...");
-
-    const watcher = spawn("npx", ["nodemon"], {
-      stdio: ["inherit", "pipe", "pipe"],
-      shell: true,
-      env: { ...process.env, NODE_ENV: "development" },
-    });
-
-    watcher.stdout.on("data", (data) => {
-      const output = data.toString().trim();
-      if (output) {
-        console.log(`${colors.magenta}[WATCH]${colors.reset} ${output}`);
-      }
-    });
-
-    watcher.stderr.on("data", (data) => {
-      const output = data.toString().trim();
-      if (output) {
-        console.log(`${colors.yellow}[WATCH]${colors.reset} ${output}`);
-      }
-    });
-
-    watcher.on("close", (code) => {
-      if (!this.isShuttingDown) {
-        log.error(`Watcher exited with code ${code}`);
-      }
-    });
-
-    this.processes.set("watcher", watcher);
-    return watcher;
-  }
-
   startDevServer() {
     log.server("Starting development server...");
 
@@ -187,16 +154,11 @@ ${colors.yellow}Press Ctrl+C to stop${colors.reset}
       // Initial build
       await this.initialBuild();
 
-      // Start watcher and server
-      this.startWatcher();
-
-      // Wait a bit before starting server
-      setTimeout(() => {
-        this.startDevServer();
-      }, 2000);
+      // The dev server watches providers/ and rebuilds changed providers itself
+      this.startDevServer();
 
       log.success("Auto-development environment is running!");
-      log.info(
+      log.watch(
         "Make changes to your providers and watch them rebuild automatically"
       );
     } catch (error) {
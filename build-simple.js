@@ -1,11 +1,22 @@
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
-const { execSync } = require("child_process");
-const { minify } = require("terser");
-
-// Build configuration
-const PROVIDERS_DIR = "./providers";
-const DIST_DIR = "./dist";
+const crypto = require("crypto");
+const { Worker } = require("worker_threads");
+const { minifyBatch } = require("./lib/minify-worker");
+const { writeManifest, readKey } = require("./lib/bundle-integrity");
+const { checkProvider, generateManifest } = require("./lib/provider-manifest");
+
+// Build configuration (absolute, so the builder also works when required
+// from the dev server)
+const ROOT_DIR = __dirname;
+const PROVIDERS_DIR = path.join(ROOT_DIR, "providers");
+const DIST_DIR = path.join(ROOT_DIR, "dist");
+const MANIFEST_PATH = path.join(ROOT_DIR, "manifest.json");
+// Source hashes of the last successful build, for incremental builds
+const BUILD_CACHE = path.join(ROOT_DIR, ".cache", "build-hashes.json");
+// Fewer files than this per worker aren't worth starting a thread for
+const MINIFY_BATCH = 8;
 
 // Colors for console output
 const colors = {
@@ -36,6 +47,8 @@ class ProviderBuilder {
     this.startTime = Date.now();
     this.providers = [];
     this.manifest = [];
+    // Compiler errors of the last compile, as { file, line, column, code, message }
+    this.errors = [];
   }
 
   /**
@@ -52,7 +65,7 @@ class ProviderBuilder {
   /**
    * Discover all provider directories
    */
-  discoverProviders() {
+  discoverProviders({ quiet = false } = {}) {
     const items = fs.readdirSync(PROVIDERS_DIR, { withFileTypes: true });
 
     this.providers = items
@@ -60,42 +73,246 @@ class ProviderBuilder {
       .filter((item) => !item.name.startsWith("."))
       .map((item) => item.name);
 
+    if (quiet) return;
     log.info(
       `Found ${this.providers.length} providers: ${this.providers.join(", ")}`
     );
   }
 
   /**
-   * Compile all TypeScript files using tsconfig.json
+   * SHA-256 over the paths and contents of `files`
    */
-  compileAllProviders() {
-    log.build("Compiling TypeScript files...");
+  hashFiles(files) {
+    const hash = crypto.createHash("sha256");
+    for (const file of [...files].sort()) {
+      hash.update(path.relative(ROOT_DIR, file));
+      hash.update("\0");
+      hash.update(fs.readFileSync(file));
+      hash.update("\0");
+    }
+    return hash.digest("hex");
+  }
 
-    try {
-      // Use TypeScript to compile all files according to tsconfig.json
-      execSync("npx tsc", {
-        stdio: "pipe",
-        encoding: "utf8",
-      });
+  /**
+   * Hashes of the current sources: `shared` covers the top-level modules
+   * every provider can import (types, extractors, providerContext...) and
+   * tsconfig.json, `options` the settings that change the output.
+   */
+  computeHashes() {
+    const sharedFiles = fs
+      .readdirSync(PROVIDERS_DIR, { withFileTypes: true })
+      .filter((item) => item.isFile() && item.name.endsWith(".ts"))
+      .map((item) => path.join(PROVIDERS_DIR, item.name));
+    sharedFiles.push(path.join(ROOT_DIR, "tsconfig.json"));
+
+    return {
+      options: JSON.stringify({
+        typescript: require("typescript").version,
+        minify: !process.env.SKIP_MINIFY,
+        keepConsole: process.env.KEEP_CONSOLE === "true",
+      }),
+      shared: this.hashFiles(sharedFiles),
+      providers: Object.fromEntries(
+        this.providers.map((provider) => [provider, this.hashFiles(this.providerSources(provider))])
+      ),
+    };
+  }
 
-      // log.success("TypeScript compilation completed");
-      return true;
+  loadBuildCache() {
+    try {
+      return JSON.parse(fs.readFileSync(BUILD_CACHE, "utf8"));
     } catch (error) {
-      log.error("TypeScript compilation failed:");
-      if (error.stdout) {
-        console.log(error.stdout);
+      return null;
+    }
+  }
+
+  saveBuildCache(hashes) {
+    fs.mkdirSync(path.dirname(BUILD_CACHE), { recursive: true });
+    fs.writeFileSync(BUILD_CACHE, JSON.stringify(hashes, null, 2));
+  }
+
+  /**
+   * Record a provider built on its own. Only valid while the shared modules
+   * and options match the last full build; otherwise the next build has to
+   * redo everything anyway.
+   */
+  recordProvider(provider) {
+    const cache = this.loadBuildCache();
+    const hashes = this.computeHashes();
+    if (cache && cache.shared === hashes.shared && cache.options === hashes.options) {
+      cache.providers[provider] = hashes.providers[provider];
+      this.saveBuildCache(cache);
+    }
+  }
+
+  /**
+   * Delete compiled files under `dir` that this build didn't emit, i.e. of
+   * sources that were removed or renamed, and directories left empty.
+   */
+  prune(dir, emitted) {
+    if (!fs.existsSync(dir)) return;
+    const keep = new Set(emitted);
+    for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, item.name);
+      if (item.isDirectory()) {
+        this.prune(fullPath, emitted);
+        if (fs.readdirSync(fullPath).length === 0) fs.rmdirSync(fullPath);
+      } else if (fullPath.endsWith(".js") && !keep.has(fullPath)) {
+        fs.rmSync(fullPath);
+      }
+    }
+  }
+
+  /**
+   * Check each provider folder against its provider.json (required modules,
+   * exports, capabilities). Sets this.errors; returns whether all passed.
+   */
+  checkProviders(providers = this.providers) {
+    this.errors = providers.flatMap((provider) => checkProvider(PROVIDERS_DIR, provider).errors);
+    return this.errors.length === 0;
+  }
+
+  /**
+   * Generate manifest.json from every provider.json, with the size and
+   * SHA-256 of each built file. A provider's version is bumped when its
+   * files changed. The manifest is signed when MANIFEST_SIGNING_KEY points
+   * at an Ed25519 private key.
+   */
+  writeManifest() {
+    const previous = fs.existsSync(MANIFEST_PATH)
+      ? JSON.parse(fs.readFileSync(MANIFEST_PATH, "utf8"))
+      : [];
+    const { manifest, bumped } = generateManifest({
+      providersDir: PROVIDERS_DIR,
+      distDir: DIST_DIR,
+      providers: this.providers,
+      previous,
+    });
+
+    for (const change of bumped) {
+      log.info(`Version bump: ${change}`);
+    }
+    const privateKey = readKey(process.env.MANIFEST_SIGNING_KEY);
+    if (writeManifest(MANIFEST_PATH, manifest, { privateKey })) {
+      log.success(`Generated manifest.json (${manifest.length} providers)`);
+    }
+    if (privateKey) {
+      log.success("Signed manifest.json (manifest.sig)");
+    }
+  }
+
+  printErrors() {
+    for (const error of this.errors) {
+      const location = !error.file ? "" : error.line ? `${error.file}(${error.line},${error.column}): ` : `${error.file}: `;
+      console.log(`${location}error${error.code ? ` ${error.code}` : ""}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compile with the TypeScript API, emitting only `files` (every file in
+   * tsconfig.json when omitted). Nothing is written when there are errors,
+   * so the last good build keeps working. Returns the emitted .js paths, or
+   * null on errors.
+   */
+  compileFiles(files) {
+    const ts = require("typescript");
+    const config = ts.getParsedCommandLineOfConfigFile(
+      path.join(ROOT_DIR, "tsconfig.json"),
+      {},
+      { ...ts.sys, onUnRecoverableConfigFileDiagnostic: () => {} }
+    );
+    const rootNames = files || config.fileNames;
+    const program = ts.createProgram(rootNames, config.options);
+
+    this.errors = ts.getPreEmitDiagnostics(program).map((diagnostic) => {
+      const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n");
+      if (!diagnostic.file) {
+        return { code: `TS${diagnostic.code}`, message };
       }
-      if (error.stderr) {
-        console.log(error.stderr);
+      const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(
+        diagnostic.start
+      );
+      return {
+        file: path.relative(ROOT_DIR, diagnostic.file.fileName),
+        line: line + 1,
+        column: character + 1,
+        code: `TS${diagnostic.code}`,
+        message,
+      };
+    });
+    if (this.errors.length > 0) {
+      return null;
+    }
+
+    const emitted = [];
+    const writeFile = (fileName, text) => {
+      ts.sys.writeFile(fileName, text);
+      if (fileName.endsWith(".js")) emitted.push(path.resolve(fileName));
+    };
+    if (files) {
+      for (const file of files) {
+        program.emit(program.getSourceFile(file), writeFile);
       }
-      return false;
+    } else {
+      program.emit(undefined, writeFile);
     }
+    return emitted;
   }
 
   /**
-   * Minify all JavaScript files in the dist directory
+   * TypeScript sources of one provider directory.
    */
-  async minifyFiles() {
+  providerSources(provider) {
+    const findTsFiles = (dir) =>
+      fs.readdirSync(dir, { withFileTypes: true }).flatMap((item) => {
+        const fullPath = path.join(dir, item.name);
+        if (item.isDirectory()) return findTsFiles(fullPath);
+        return item.name.endsWith(".ts") ? [fullPath] : [];
+      });
+    return findTsFiles(path.join(PROVIDERS_DIR, provider));
+  }
+
+  /**
+   * Rebuild a single provider in place, whatever its hash, without touching
+   * the shared modules or other providers. Resolves to
+   * { success, errors, files, duration }.
+   */
+  async buildTargeted(provider) {
+    const startedAt = Date.now();
+    if (!fs.existsSync(path.join(PROVIDERS_DIR, provider))) {
+      throw new Error(`Unknown provider: ${provider}`);
+    }
+    this.discoverProviders({ quiet: true });
+
+    log.build(`Rebuilding ${provider}...`);
+    if (!this.checkProviders([provider])) {
+      log.error(`${provider} does not match its provider.json`);
+      this.printErrors();
+      return { success: false, errors: this.errors, files: [], duration: Date.now() - startedAt };
+    }
+    const files = this.compileFiles(this.providerSources(provider));
+    if (!files) {
+      log.error(`Compilation failed with ${this.errors.length} error(s)`);
+      this.printErrors();
+      return { success: false, errors: this.errors, files: [], duration: Date.now() - startedAt };
+    }
+    this.prune(path.join(DIST_DIR, provider), files);
+
+    if (!process.env.SKIP_MINIFY) {
+      await this.minifyFiles(files);
+    }
+    this.recordProvider(provider);
+    this.writeManifest();
+    log.success(`Rebuilt ${provider} in ${Date.now() - startedAt}ms`);
+    return { success: true, errors: [], files, duration: Date.now() - startedAt };
+  }
+
+  /**
+   * Minify the given JavaScript files, or all of them in the dist directory.
+   * Large batches are split across worker threads (MINIFY_WORKERS, default
+   * one per CPU).
+   */
+  async minifyFiles(files) {
     const keepConsole = process.env.KEEP_CONSOLE === "true";
     log.build(
       `Minifying JavaScript files... ${
@@ -103,41 +320,6 @@ class ProviderBuilder {
       }`
     );
 
-    const minifyFile = async (filePath) => {
-      try {
-        const code = fs.readFileSync(filePath, "utf8");
-        const result = await minify(code, {
-          compress: {
-            drop_console: !keepConsole, // Remove console logs unless KEEP_CONSOLE=true
-            drop_debugger: true,
-            pure_funcs: keepConsole
-              ? ["console.debug"]
-              : [
-                  "console.debug",
-                  "console.log",
-                  "console.info",
-                  "console.warn",
-                ],
-          },
-          mangle: false, // Disable variable name mangling to keep original names
-          format: {
-            comments: false, // Remove comments
-          },
-        });
-
-        if (result.code) {
-          fs.writeFileSync(filePath, result.code);
-          return true;
-        } else {
-          log.warning(`Failed to minify ${filePath}: No output code`);
-          return false;
-        }
-      } catch (error) {
-        log.error(`Error minifying ${filePath}: ${error.message}`);
-        return false;
-      }
-    };
-
     const findJsFiles = (dir) => {
       const files = [];
       const items = fs.readdirSync(dir, { withFileTypes: true });
@@ -154,21 +336,50 @@ class ProviderBuilder {
       return files;
     };
 
-    const jsFiles = findJsFiles(DIST_DIR);
+    const jsFiles = files || findJsFiles(DIST_DIR);
+    const workerCount = Math.min(
+      parseInt(process.env.MINIFY_WORKERS) || os.cpus().length,
+      Math.ceil(jsFiles.length / MINIFY_BATCH)
+    );
+
+    let results;
+    if (workerCount <= 1) {
+      results = await minifyBatch(jsFiles, keepConsole);
+    } else {
+      const batches = Array.from({ length: workerCount }, () => []);
+      jsFiles.forEach((file, index) => batches[index % workerCount].push(file));
+      const batchResults = await Promise.all(
+        batches.map(
+          (batch) =>
+            new Promise((resolve, reject) => {
+              const worker = new Worker(path.join(ROOT_DIR, "lib", "minify-worker.js"), {
+                workerData: { files: batch, keepConsole },
+              });
+              worker.once("message", resolve);
+              worker.once("error", reject);
+              // A worker that dies without posting its results (OOM, crash
+              // in a native module) would otherwise leave the build hanging
+              worker.once("exit", (code) => {
+                reject(new Error(`Minify worker exited with code ${code} before reporting`));
+              });
+            })
+        )
+      );
+      results = batchResults.flat();
+    }
+
     let minifiedCount = 0;
     let totalSizeBefore = 0;
     let totalSizeAfter = 0;
 
-    for (const filePath of jsFiles) {
-      const statsBefore = fs.statSync(filePath);
-      totalSizeBefore += statsBefore.size;
-
-      const success = await minifyFile(filePath);
-      if (success) {
-        const statsAfter = fs.statSync(filePath);
-        totalSizeAfter += statsAfter.size;
-        minifiedCount++;
+    for (const result of results) {
+      if (result.error) {
+        log.error(`Error minifying ${result.file}: ${result.error}`);
+        continue;
       }
+      totalSizeBefore += result.before;
+      totalSizeAfter += result.after;
+      minifiedCount++;
     }
 
     const compressionRatio =
@@ -180,7 +391,9 @@ class ProviderBuilder {
         : 0;
 
     log.success(
-      `Minified ${minifiedCount}/${jsFiles.length} files. ` +
+      `Minified ${minifiedCount}/${jsFiles.length} files${
+        workerCount > 1 ? ` on ${workerCount} threads` : ""
+      }. ` +
         `Size reduced by ${compressionRatio}% (${totalSizeBefore} → ${totalSizeAfter} bytes)`
     );
   }
@@ -229,9 +442,13 @@ class ProviderBuilder {
   }
 
   /**
-   * Build everything
+   * Build the providers whose sources changed since the last build, or
+   * everything when a shared module, tsconfig.json or the build options
+   * changed. On compile errors dist/ is left as it was. `clean` wipes dist/
+   * first and rebuilds everything. Resolves to
+   * { success, errors, files, providers, duration }.
    */
-  async build() {
+  async build({ clean = false } = {}) {
     const isWatchMode = process.env.NODE_ENV === "development";
 
     if (isWatchMode) {
@@ -246,23 +463,87 @@ class ProviderBuilder {
       );
     }
 
-    this.cleanDist();
     this.discoverProviders();
+    if (!this.checkProviders()) {
+      log.error("Providers do not match their provider.json:");
+      this.printErrors();
+      return {
+        success: false,
+        errors: this.errors,
+        files: [],
+        providers: [],
+        duration: Date.now() - this.startTime,
+      };
+    }
+    const hashes = this.computeHashes();
+    const previous = clean ? null : this.loadBuildCache();
+    const full =
+      !previous ||
+      previous.shared !== hashes.shared ||
+      previous.options !== hashes.options ||
+      !fs.existsSync(DIST_DIR);
+
+    let changed = this.providers;
+    if (clean) {
+      this.cleanDist();
+    }
+    if (full) {
+      log.info(previous ? "Shared modules or options changed, rebuilding everything" : "Full build");
+    } else {
+      changed = this.providers.filter(
+        (provider) =>
+          previous.providers[provider] !== hashes.providers[provider] ||
+          !fs.existsSync(path.join(DIST_DIR, provider))
+      );
+      for (const provider of Object.keys(previous.providers)) {
+        if (!this.providers.includes(provider)) {
+          log.info(`Removing deleted provider ${provider}`);
+          fs.rmSync(path.join(DIST_DIR, provider), { recursive: true, force: true });
+        }
+      }
+      if (changed.length === 0) {
+        this.saveBuildCache(hashes);
+        this.writeManifest();
+        log.success(`Everything up to date (${Date.now() - this.startTime}ms)`);
+        return { success: true, errors: [], files: [], providers: [], duration: Date.now() - this.startTime };
+      }
+      log.info(`Changed: ${changed.join(", ")}`);
+    }
 
-    const compiled = this.compileAllProviders();
-    if (!compiled) {
+    log.build("Compiling TypeScript files...");
+    const files = this.compileFiles(
+      full ? undefined : changed.flatMap((provider) => this.providerSources(provider))
+    );
+    if (!files) {
+      log.error("TypeScript compilation failed:");
+      this.printErrors();
       log.error("Build failed due to compilation errors");
-      process.exit(1);
+      return {
+        success: false,
+        errors: this.errors,
+        files: [],
+        providers: changed,
+        duration: Date.now() - this.startTime,
+      };
     }
 
-    this.organizeFiles();
+    if (full) {
+      this.prune(DIST_DIR, files);
+      this.organizeFiles();
+    } else {
+      for (const provider of changed) {
+        this.prune(path.join(DIST_DIR, provider), files);
+      }
+    }
 
     // Add minification step (skip if SKIP_MINIFY is set)
     if (!process.env.SKIP_MINIFY) {
-      await this.minifyFiles();
+      await this.minifyFiles(files);
     } else {
       log.info("Skipping minification (SKIP_MINIFY=true)");
     }
+    this.saveBuildCache(hashes);
+    this.writeManifest();
 
     const buildTime = Date.now() - this.startTime;
     log.success(`Build completed in ${buildTime}ms`);
@@ -274,12 +555,57 @@ class ProviderBuilder {
         `${colors.bright}✨ Build completed successfully!${colors.reset}\n`
       );
     }
+    return { success: true, errors: [], files, providers: changed, duration: buildTime };
   }
 }
 
+/**
+ * Parse `--provider <name>` (repeatable, or comma-separated) and `--clean`.
+ */
+function parseArgs(argv) {
+  const options = { providers: [], clean: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--clean") {
+      options.clean = true;
+    } else if (arg === "--provider" || arg === "-p") {
+      options.providers.push(...(argv[++i] || "").split(",").filter(Boolean));
+    } else if (arg.startsWith("--provider=")) {
+      options.providers.push(...arg.slice("--provider=".length).split(",").filter(Boolean));
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const builder = new ProviderBuilder();
+  if (options.providers.length === 0) {
+    return builder.build({ clean: options.clean });
+  }
+
+  let success = true;
+  for (const provider of options.providers) {
+    const result = await builder.buildTargeted(provider);
+    success = success && result.success;
+  }
+  return { success };
+}
+
 // Run the build
-const builder = new ProviderBuilder();
-builder.build().catch((error) => {
-  console.error("Build failed:", error);
-  process.exit(1);
-});
+if (require.main === module) {
+  main()
+    .then((result) => {
+      if (!result.success) {
+        process.exit(1);
+      }
+    })
+    .catch((error) => {
+      log.error(`Build failed: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { ProviderBuilder };
@@ -2,8 +2,148 @@ const express = require("express");
 const cors = require("cors");
 const path = require("path");
 const fs = require("fs");
-const { execSync } = require("child_process");
 const os = require("os");
+const crypto = require("crypto");
+const { createProviderCache } = require("./lib/provider-cache");
+const { handleProxyRequest, proxyStreams } = require("./lib/stream-proxy");
+const { handleSubtitleRequest, normalizeStreamSubtitles } = require("./lib/subtitles");
+const { validateResult } = require("./lib/provider-schemas");
+const { createHealthMonitor } = require("./lib/provider-health");
+const { createProviderMetrics } = require("./lib/metrics");
+const { FUNCTION_MODULES, EXTRACTORS, runProviderFunction, loadCatalog, invalidateModules } = require("./lib/provider-runner");
+const { createProviderSandbox } = require("./lib/provider-sandbox");
+const { createBundleVerifier } = require("./lib/bundle-integrity");
+const { requestSignal } = require("./lib/request-signal");
+const { ProviderBuilder } = require("./build-simple");
+
+// Default deadlines (ms) per provider function. Override with e.g.
+// GET_STREAM_TIMEOUT=60000.
+const DEFAULT_TIMEOUTS = {
+  getPosts: 20000,
+  getSearchPosts: 20000,
+  getMeta: 30000,
+  getEpisodes: 30000,
+  getStream: 45000,
+  // GET /resolve
+  resolve: 45000,
+};
+
+// HTTP status for each ProviderError code (see providers/providerErrors.ts)
+const ERROR_STATUS = {
+  NOT_FOUND: 404,
+  CANCELLED: 499,
+  UNKNOWN: 500,
+  UNSUPPORTED: 501,
+  BLOCKED: 502,
+  PARSE_ERROR: 502,
+  NETWORK_ERROR: 502,
+  UPSTREAM_ERROR: 502,
+  BASE_URL_MISSING: 503,
+  TIMEOUT: 504,
+  // Not a provider failure: the bundle doesn't match manifest.json
+  INTEGRITY_ERROR: 500,
+};
+
+/**
+ * Raised when a provider function misses its deadline. The signal handed to
+ * the provider is aborted with this error as the reason.
+ */
+class ProviderTimeoutError extends Error {
+  constructor(provider, functionName, timeout) {
+    super(`${provider}.${functionName} timed out after ${timeout}ms`);
+    this.name = 'ProviderTimeoutError';
+    this.code = 'TIMEOUT';
+    this.provider = provider;
+    this.functionName = functionName;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Normalise a post title for de-duplication: lowercase, strip the year,
+ * bracketed tags and punctuation. Returns the key plus the detected year.
+ */
+function normalizeTitle(title = '') {
+  const year = (title.match(/\b(19|20)\d{2}\b/) || [])[0] || '';
+  const key = title
+    .toLowerCase()
+    .replace(/[\[(][^\])]*[\])]/g, ' ')
+    .replace(/\b(19|20)\d{2}\b/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+  return { key, year };
+}
+
+/**
+ * Merge per-provider search results into a single list, keeping the first
+ * post seen for each normalised title + year (in manifest order) and
+ * recording every provider that returned it.
+ */
+function mergeSearchResults(providers, results) {
+  const merged = new Map();
+
+  for (const { value: provider } of providers) {
+    for (const post of results[provider] || []) {
+      const { key, year } = normalizeTitle(post.title);
+      if (!key) continue;
+
+      const id = `${key}|${year}`;
+      const source = { provider, link: post.link };
+      if (merged.has(id)) {
+        merged.get(id).sources.push(source);
+      } else {
+        merged.set(id, { ...post, provider, year: year || undefined, sources: [source] });
+      }
+    }
+  }
+
+  return [...merged.values()];
+}
+
+/**
+ * Start a streaming response. Sends Server-Sent Events by default, or
+ * newline-delimited JSON when `?format=ndjson` is given or the client
+ * accepts `application/x-ndjson`. Writes after the client went away are
+ * dropped.
+ */
+function openEventStream(req, res) {
+  const ndjson =
+    req.query.format === 'ndjson' ||
+    (req.headers.accept || '').includes('application/x-ndjson');
+  let closed = false;
+
+  res.on('close', () => {
+    closed = true;
+  });
+
+  res.status(200);
+  res.set({
+    'Content-Type': ndjson ? 'application/x-ndjson' : 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  return {
+    get closed() {
+      return closed;
+    },
+    send(event, data) {
+      if (closed) return;
+      if (ndjson) {
+        res.write(JSON.stringify({ event, ...data }) + '\n');
+      } else {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    },
+    end() {
+      if (closed) return;
+      this.send('done', {});
+      res.end();
+    }
+  };
+}
 
 /**
  * Local development server for testing providers .
@@ -14,6 +154,32 @@ class DevServer {
     this.port = 3002;
     this.distDir = path.join(__dirname, "dist");
     this.currentDir = path.join(__dirname);
+    this.searchTimeout = 15000;
+    // Validate every result against the contract in lib/provider-schemas.js
+    this.strict = process.env.STRICT_VALIDATION === 'true';
+    this.cache = createProviderCache(this.currentDir);
+    this.metrics = createProviderMetrics();
+    this.integrity = createBundleVerifier(this.currentDir);
+    this.sandbox = createProviderSandbox(this.distDir, {
+      onUpstream: (sample) => this.metrics.recordUpstream(sample)
+    });
+    this.providersDir = path.join(__dirname, "providers");
+    // Last build result, and clients waiting for reload events
+    this.buildState = { status: "idle", errors: [] };
+    this.building = null;
+    this.reloadClients = new Set();
+    this.health = createHealthMonitor(this.currentDir, {
+      listProviders: () => this.readManifest(),
+      loadCatalog: (provider) => this.loadCatalog(provider),
+      execute: (provider, functionName, params) =>
+        this.executeProviderFunction(provider, functionName, params)
+    });
+    this.timeouts = Object.fromEntries(
+      Object.entries(DEFAULT_TIMEOUTS).map(([functionName, timeout]) => {
+        const envName = functionName.replace(/[A-Z]/g, (c) => `_${c}`).toUpperCase();
+        return [functionName, parseInt(process.env[`${envName}_TIMEOUT`]) || timeout];
+      })
+    );
 
     this.setupMiddleware();
     this.setupRoutes();
@@ -24,8 +190,9 @@ class DevServer {
     this.app.use(
       cors({
         origin: "*",
-        methods: ["GET", "POST", "OPTIONS"],
-        allowedHeaders: ["Content-Type", "Authorization"],
+        methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+        allowedHeaders: ["Content-Type", "Authorization", "If-None-Match", "Cache-Control", "Range"],
+        exposedHeaders: ["ETag", "X-Cache", "Age", "Content-Range", "Accept-Ranges", "Content-Length", "X-Contract-Violations"],
       })
     );
 
@@ -55,6 +222,26 @@ class DevServer {
       }
     });
 
+    // Ed25519 signature of manifest.json, written by signed builds
+    this.app.get("/manifest.sig", (req, res) => {
+      const signaturePath = path.join(this.currentDir, "manifest.sig");
+      if (fs.existsSync(signaturePath)) {
+        res.type("text/plain").sendFile(signaturePath);
+      } else {
+        res.status(404).json({ error: "Manifest is not signed" });
+      }
+    });
+
+    // Check every bundle in dist/ against the hashes in manifest.json
+    this.app.get("/manifest/verify", (req, res) => {
+      if (!this.integrity) {
+        return res.status(404).json({ error: "Bundle verification is disabled (VERIFY_BUNDLES=off)" });
+      }
+      const report = this.integrity.report();
+      const ok = report.signature !== false && report.providers.every((entry) => entry.problems.length === 0);
+      res.status(ok ? 200 : 409).json({ ok, ...report });
+    });
+
     // Serve individual provider files
     this.app.get("/dist/:provider/:file", (req, res) => {
       const { provider, file } = req.params;
@@ -71,61 +258,52 @@ class DevServer {
     });
 
     // Get provider catalog - Updated to match frontend expectations
-    this.app.get("/catalog/:provider", (req, res) => {
+    this.app.get("/catalog/:provider", async (req, res) => {
       try {
         const { provider } = req.params;
-        const catalogPath = path.join(__dirname, "providers", provider, "catalog.ts");
 
-        let catalog = [];
-        let genres = [];
+        // Return in the format expected by frontend
+        res.json(await this.loadCatalog(provider));
+      } catch (error) {
+        console.error("Catalog error:", error.message);
+        res.status(error.status || ERROR_STATUS[error.code] || 500).json({
+          error: error.message,
+          hint: error.hint,
+          problems: error.problems
+        });
+      }
+    });
 
-        if (fs.existsSync(catalogPath)) {
-          // Read and parse the TypeScript catalog file
-          const catalogContent = fs.readFileSync(catalogPath, 'utf8');
+    // Streaming home page - GET /events/catalog/:provider
+    this.app.get("/events/catalog/:provider", async (req, res) => {
+      const { provider } = req.params;
+      const { page = 1 } = req.query;
+      const signal = requestSignal(res);
+      const stream = openEventStream(req, res);
 
-          // Extract catalog array
-          const catalogMatch = catalogContent.match(/export const catalog = (\[[\s\S]*?\]);/);
-          if (catalogMatch) {
-            try {
-              let catalogStr = catalogMatch[1]
-                .replace(/(\w+):\s*/g, '"$1": ')
-                .replace(/,(\s*[\]\}])/g, '$1')
-                .replace(/'/g, '"');
-              catalog = JSON.parse(catalogStr);
-            } catch (parseError) {
-              console.error('Failed to parse catalog:', parseError);
-            }
-          }
+      try {
+        const { catalog } = await this.loadCatalog(provider);
+        stream.send("catalog", { provider, catalog });
 
-          // Extract genres array
-          const genresMatch = catalogContent.match(/export const genres = (\[[\s\S]*?\]);/);
-          if (genresMatch) {
+        await Promise.all(
+          catalog.map(async (section) => {
             try {
-              let genresStr = genresMatch[1]
-                .replace(/(\w+):\s*/g, '"$1": ')
-                .replace(/,(\s*[\]\}])/g, '$1')
-                .replace(/'/g, '"');
-              genres = JSON.parse(genresStr);
-            } catch (parseError) {
-              console.error('Failed to parse genres:', parseError);
+              const posts = await this.executeProviderFunction(provider, 'getPosts', {
+                filter: section.filter,
+                page: parseInt(page) || 1
+              }, { signal });
+              stream.send("posts", { provider, ...section, posts });
+            } catch (error) {
+              stream.send("failed", { provider, ...section, error: error.message });
             }
-          }
-        }
-
-        // Fallback to default if empty
-        if (catalog.length === 0) {
-          catalog = [
-            { title: 'Popular', filter: '' },
-            { title: 'Latest', filter: 'latest' }
-          ];
-        }
-
-        // Return in the format expected by frontend
-        res.json({ catalog, genres });
+          })
+        );
       } catch (error) {
-        console.error("Catalog error:", error);
-        res.status(500).json({ error: error.message });
+        console.error("Catalog stream error:", error);
+        stream.send("failed", { provider, error: error.message });
       }
+
+      stream.end();
     });
 
     // Posts endpoint - GET /posts/:provider
@@ -134,18 +312,85 @@ class DevServer {
         const { provider } = req.params;
         const { filter = '', page = 1 } = req.query;
 
-        const result = await this.executeProviderFunction(provider, 'getPosts', {
+        await this.sendCachedResult(req, res, provider, 'getPosts', {
           filter: filter,
           page: parseInt(page)
         });
+      } catch (error) {
+        console.error("Posts error:", error);
+        this.sendProviderError(res, error);
+      }
+    });
+
+    // Federated search endpoint - GET /search
+    this.app.get("/search", async (req, res) => {
+      try {
+        const { query = '', page = 1, type = '', timeout } = req.query;
+
+        if (!query) {
+          return res.status(400).json({ error: "Query parameter is required" });
+        }
+
+        const result = await this.searchAllProviders(query, {
+          page: parseInt(page) || 1,
+          types: type ? String(type).split(',').filter(Boolean) : [],
+          timeout: parseInt(timeout) || this.searchTimeout,
+          signal: requestSignal(res)
+        });
 
         res.json(result);
       } catch (error) {
-        console.error("Posts error:", error);
+        console.error("Federated search error:", error);
         res.status(500).json({ error: error.message });
       }
     });
 
+    // Streaming federated search - GET /events/search
+    this.app.get("/events/search", async (req, res) => {
+      const { query = '', page = 1, type = '', timeout } = req.query;
+
+      if (!query) {
+        return res.status(400).json({ error: "Query parameter is required" });
+      }
+
+      const stream = openEventStream(req, res);
+      try {
+        const { providers, merged, errors } = await this.searchAllProviders(query, {
+          page: parseInt(page) || 1,
+          types: type ? String(type).split(',').filter(Boolean) : [],
+          timeout: parseInt(timeout) || this.searchTimeout,
+          signal: requestSignal(res),
+          onStart: (providers) => stream.send("providers", { providers }),
+          onResult: (provider, posts) => stream.send("posts", { provider, posts }),
+          onError: (failure) => stream.send("failed", failure)
+        });
+        stream.send("summary", { providers, merged, errors });
+      } catch (error) {
+        console.error("Federated search stream error:", error);
+        stream.send("failed", { error: error.message });
+      }
+      stream.end();
+    });
+
+    // Streaming search - GET /events/search/:provider
+    this.app.get("/events/search/:provider", async (req, res) => {
+      const { provider } = req.params;
+      const { query = '', page = 1 } = req.query;
+      const stream = openEventStream(req, res);
+
+      try {
+        const posts = await this.executeProviderFunction(provider, 'getSearchPosts', {
+          searchQuery: query,
+          page: parseInt(page) || 1
+        }, { signal: requestSignal(res) });
+        stream.send("posts", { provider, posts });
+      } catch (error) {
+        console.error("Search stream error:", error);
+        stream.send("failed", { provider, error: error.message });
+      }
+      stream.end();
+    });
+
     // Search endpoint - GET /search/:provider
     this.app.get("/search/:provider", async (req, res) => {
       try {
@@ -155,12 +400,12 @@ class DevServer {
         const result = await this.executeProviderFunction(provider, 'getSearchPosts', {
           searchQuery: query,
           page: parseInt(page)
-        });
+        }, { signal: requestSignal(res), strict: this.isStrict(req) });
 
         res.json(result);
       } catch (error) {
         console.error("Search error:", error);
-        res.status(500).json({ error: error.message });
+        this.sendProviderError(res, error);
       }
     });
 
@@ -174,14 +419,12 @@ class DevServer {
           return res.status(400).json({ error: "Link parameter is required" });
         }
 
-        const result = await this.executeProviderFunction(provider, 'getMeta', {
+        await this.sendCachedResult(req, res, provider, 'getMeta', {
           link: link
         });
-
-        res.json(result);
       } catch (error) {
         console.error("Meta error:", error);
-        res.status(500).json({ error: error.message });
+        this.sendProviderError(res, error);
       }
     });
 
@@ -189,24 +432,64 @@ class DevServer {
     this.app.get("/stream/:provider", async (req, res) => {
       try {
         const { provider } = req.params;
-        const { link, type } = req.query;
+        const { link, type, proxy, subtitles } = req.query;
 
         if (!link) {
           return res.status(400).json({ error: "Link parameter is required" });
         }
 
-        const result = await this.executeProviderFunction(provider, 'getStream', {
+        // ?subtitles=vtt serves every track through /subtitles as WebVTT and
+        // ?proxy=true points every stream at /proxy with its headers applied
+        const serverUrl = `${req.protocol}://${req.get('host')}`;
+        await this.sendCachedResult(req, res, provider, 'getStream', {
           link: link,
           type: type
+        }, (streams) => {
+          if (subtitles === 'vtt') streams = normalizeStreamSubtitles(streams, serverUrl);
+          if (proxy === 'true') streams = proxyStreams(streams, serverUrl);
+          return streams;
         });
-
-        res.json(result);
       } catch (error) {
         console.error("Stream error:", error);
-        res.status(500).json({ error: error.message });
+        this.sendProviderError(res, error);
+      }
+    });
+
+    // Hoster link to streams through the extractor registry - GET /resolve?url=
+    this.app.get("/resolve", async (req, res) => {
+      try {
+        const { url, proxy, subtitles } = req.query;
+        if (!url || !URL.canParse(url)) {
+          return res.status(400).json({ error: "A valid url parameter is required" });
+        }
+
+        const serverUrl = `${req.protocol}://${req.get('host')}`;
+        await this.sendCachedResult(req, res, EXTRACTORS, 'resolve', { url }, (streams) => {
+          if (subtitles === 'vtt') streams = normalizeStreamSubtitles(streams, serverUrl);
+          if (proxy === 'true') streams = proxyStreams(streams, serverUrl);
+          return streams;
+        });
+      } catch (error) {
+        console.error("Resolve error:", error);
+        this.sendProviderError(res, error);
       }
     });
 
+    // Registered extractors with the hosts and URL patterns they handle
+    this.app.get("/extractors", (req, res) => {
+      const registry = this.loadDistModule("extractorRegistry")?.extractorRegistry;
+      if (!registry) {
+        return res.status(503).json({ error: "Extractors not built yet. Run npm run build." });
+      }
+      res.json(registry.list());
+    });
+
+    // Playback proxy - GET /proxy?url=&h=<base64url JSON headers>
+    this.app.get("/proxy", handleProxyRequest);
+
+    // Subtitle conversion - GET /subtitles?uri=&format=vtt&h=&lang=
+    this.app.get("/subtitles", handleSubtitleRequest);
+
     // Episodes endpoint - GET /episodes/:provider
     this.app.get("/episodes/:provider", async (req, res) => {
       try {
@@ -217,14 +500,12 @@ class DevServer {
           return res.status(400).json({ error: "URL parameter is required" });
         }
 
-        const result = await this.executeProviderFunction(provider, 'getEpisodes', {
+        await this.sendCachedResult(req, res, provider, 'getEpisodes', {
           url: url
         });
-
-        res.json(result);
       } catch (error) {
         console.error("Episodes error:", error);
-        res.status(500).json({ error: error.message });
+        this.sendProviderError(res, error);
       }
     });
 
@@ -239,22 +520,178 @@ class DevServer {
           });
         }
 
-        const result = await this.executeProviderFunction(provider, functionName, params);
+        const result = await this.executeProviderFunction(provider, functionName, params, {
+          signal: requestSignal(res),
+          strict: this.isStrict(req)
+        });
         res.json(result);
       } catch (error) {
         console.error("Provider execution error:", error);
-        res.status(500).json({
-          error: error.message || "Provider execution failed"
+        this.sendProviderError(res, error);
+      }
+    });
+
+    // Cache purge - POST /cache/purge { provider?, function? }
+    this.app.post("/cache/purge", (req, res) => {
+      if (!this.cache) {
+        return res.status(404).json({ error: "Cache is disabled (CACHE_STORE=off)" });
+      }
+
+      const { provider, function: functionName } = req.body || {};
+      const purged = this.cache.purge({ provider, functionName });
+      res.json({ success: true, purged, provider: provider || null });
+    });
+
+    // Base URLs (getBaseUrl keys such as Vega, nfMirror, consumet, w4u)
+    this.app.get("/base-urls", (req, res) => {
+      const baseUrls = this.loadDistModule("getBaseUrl");
+      if (!baseUrls) {
+        return res.status(503).json({ error: "Build not found. Run build first." });
+      }
+      res.json({ baseUrls: baseUrls.listBaseUrls() });
+    });
+
+    // Resolve one key; ?refresh=true probes again instead of using the cache
+    this.app.get("/base-urls/:key", async (req, res) => {
+      const baseUrls = this.loadDistModule("getBaseUrl");
+      if (!baseUrls) {
+        return res.status(503).json({ error: "Build not found. Run build first." });
+      }
+
+      try {
+        const { key } = req.params;
+        const resolved = await baseUrls.resolveBaseUrl(key, { force: req.query.refresh === "true" });
+        res.json({
+          key,
+          ...resolved,
+          resolvedAt: new Date(resolved.resolvedAt).toISOString(),
+          override: baseUrls.readOverrides()[key]
         });
+      } catch (error) {
+        this.sendProviderError(res, error);
+      }
+    });
+
+    // Set a local override in baseUrls.json: { url } pins the key to that
+    // URL, { url?, mirrors } probes the mirrors before the remote URL
+    this.app.put("/base-urls/:key", (req, res) => {
+      const baseUrls = this.loadDistModule("getBaseUrl");
+      if (!baseUrls) {
+        return res.status(503).json({ error: "Build not found. Run build first." });
+      }
+
+      const { url, mirrors } = req.body || {};
+      const urls = [url, ...(Array.isArray(mirrors) ? mirrors : [])].filter((value) => value !== undefined);
+      if (urls.length === 0 || (mirrors !== undefined && !Array.isArray(mirrors))) {
+        return res.status(400).json({ error: "Provide url and/or a mirrors array" });
       }
+      const invalid = urls.find((value) => !URL.canParse(value));
+      if (invalid !== undefined) {
+        return res.status(400).json({ error: `Invalid URL: ${invalid}` });
+      }
+
+      const override = mirrors ? { url, mirrors } : url;
+      baseUrls.setBaseUrlOverride(req.params.key, override);
+      res.json({ success: true, key: req.params.key, override });
+    });
+
+    this.app.delete("/base-urls/:key", (req, res) => {
+      const baseUrls = this.loadDistModule("getBaseUrl");
+      if (!baseUrls) {
+        return res.status(503).json({ error: "Build not found. Run build first." });
+      }
+
+      baseUrls.setBaseUrlOverride(req.params.key, undefined);
+      res.json({ success: true, key: req.params.key });
+    });
+
+    // Cookie jar (.cache/cookies.json): ?provider= and/or ?domain= narrow
+    // both the listing and what DELETE removes
+    this.app.get("/cookies", (req, res) => {
+      const cookieJar = this.loadDistModule("cookieJar");
+      if (!cookieJar) {
+        return res.status(503).json({ error: "Build not found. Run build first." });
+      }
+      const { provider, domain } = req.query;
+      res.json({ cookies: cookieJar.listCookies({ provider, domain }) });
+    });
+
+    this.app.delete("/cookies", (req, res) => {
+      const cookieJar = this.loadDistModule("cookieJar");
+      if (!cookieJar) {
+        return res.status(503).json({ error: "Build not found. Run build first." });
+      }
+      const { provider, domain } = req.query;
+      const removed = cookieJar.clearCookies({ provider, domain });
+      res.json({ success: true, removed, provider: provider || null, domain: domain || null });
+    });
+
+    // Outbound proxy (`proxy` in provider-config.json). GET shows the
+    // settings with passwords masked, plus the route one request would take
+    // with ?provider=&url=. PUT replaces the whole section, DELETE removes it.
+    this.app.get("/outbound-proxy", (req, res) => {
+      const httpProxy = this.loadDistModule("httpProxy");
+      const providerConfig = this.loadDistModule("providerConfig");
+      if (!httpProxy || !providerConfig) {
+        return res.status(503).json({ error: "Build not found. Run build first." });
+      }
+
+      const { provider, url } = req.query;
+      const settings = providerConfig.loadProviderConfig().proxy || {};
+      res.json({
+        proxy: httpProxy.maskProxySettings(settings),
+        ...(url ? { route: { provider: provider || null, url, proxy: httpProxy.maskProxyUrl(httpProxy.proxyFor(provider, url)) } } : {})
+      });
+    });
+
+    this.app.put("/outbound-proxy", async (req, res) => {
+      const httpProxy = this.loadDistModule("httpProxy");
+      const providerConfig = this.loadDistModule("providerConfig");
+      if (!httpProxy || !providerConfig) {
+        return res.status(503).json({ error: "Build not found. Run build first." });
+      }
+
+      const errors = httpProxy.validateProxySettings(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid proxy settings", errors });
+      }
+      providerConfig.updateProviderConfig("proxy", req.body);
+      await this.reloadProviderConfig();
+      res.json({ success: true, proxy: httpProxy.maskProxySettings(req.body) });
+    });
+
+    this.app.delete("/outbound-proxy", async (req, res) => {
+      const providerConfig = this.loadDistModule("providerConfig");
+      if (!providerConfig) {
+        return res.status(503).json({ error: "Build not found. Run build first." });
+      }
+
+      providerConfig.updateProviderConfig("proxy", undefined);
+      await this.reloadProviderConfig();
+      res.json({ success: true });
+    });
+
+    // Apply a hand-edited provider-config.json without a restart
+    this.app.post("/provider-config/reload", async (req, res) => {
+      if (!this.loadDistModule("providerConfig")) {
+        return res.status(503).json({ error: "Build not found. Run build first." });
+      }
+      await this.reloadProviderConfig();
+      res.json({ success: true });
     });
 
     // Build endpoint - trigger rebuild
-    this.app.post("/build", (req, res) => {
+    // Rebuild everything, or one provider with { "provider": "vega" }.
+    // Compile errors come back as 422 with the tsc diagnostics.
+    this.app.post("/build", async (req, res) => {
       try {
         console.log("🔨 Triggering rebuild...");
-        execSync("node build.js", { stdio: "inherit" });
-        res.json({ success: true, message: "Build completed" });
+        const { provider, clean } = req.body || {};
+        const result = await this.rebuild(provider || null, { clean: clean === true });
+        res.status(result.success ? 200 : 422).json({
+          ...result,
+          message: result.success ? "Build completed" : "Build failed"
+        });
       } catch (error) {
         console.error("Build failed:", error);
         res.status(500).json({
@@ -264,8 +701,22 @@ class DevServer {
       }
     });
 
+    // Result of the last build (including compile errors)
+    this.app.get("/build", (req, res) => {
+      res.json(this.buildState);
+    });
+
+    // Pushes "building", "reload" and "build-error" events as the watcher
+    // rebuilds providers
+    this.app.get("/events/reload", (req, res) => {
+      const stream = openEventStream(req, res);
+      stream.send("status", this.buildState);
+      this.reloadClients.add(stream);
+      res.on("close", () => this.reloadClients.delete(stream));
+    });
+
     // Status endpoint
-    this.app.get("/status", (req, res) => {
+    this.app.get("/status", async (req, res) => {
       const providers = this.getAvailableProviders();
       res.json({
         status: "running",
@@ -273,6 +724,9 @@ class DevServer {
         providers: providers.length,
         providerList: providers,
         buildTime: this.getBuildTime(),
+        cache: this.cache ? this.cache.getStats() : null,
+        sandbox: this.sandbox ? this.sandbox.getStats() : null,
+        ...(await this.getHttpStats()),
       });
     });
 
@@ -282,22 +736,97 @@ class DevServer {
       res.json(providers);
     });
 
+    // Prometheus metrics for provider calls and upstream hosts
+    this.app.get("/metrics", (req, res) => {
+      res.type("text/plain; version=0.0.4; charset=utf-8");
+      res.send(this.metrics.registry.render());
+    });
+
     // Health check
     this.app.get("/health", (req, res) => {
       res.json({ status: "healthy", timestamp: new Date().toISOString() });
     });
 
+    // Canary results for every manifest provider
+    this.app.get("/health/providers", (req, res) => {
+      if (!this.health) {
+        return res.status(404).json({ error: "Health checks are disabled (HEALTH_CHECKS=off)" });
+      }
+
+      res.json({
+        running: Boolean(this.health.running),
+        lastRunAt: this.health.lastRunAt,
+        interval: this.health.interval,
+        providers: this.readManifest().map((entry) =>
+          this.health.summary(entry.value, Boolean(entry.disabled))
+        )
+      });
+    });
+
+    this.app.get("/health/providers/:provider", (req, res) => {
+      if (!this.health) {
+        return res.status(404).json({ error: "Health checks are disabled (HEALTH_CHECKS=off)" });
+      }
+
+      const { provider } = req.params;
+      const entry = this.readManifest().find((item) => item.value === provider);
+      const history = this.health.store.history(provider);
+      if (!entry && history.length === 0) {
+        return res.status(404).json({ error: `Unknown provider: ${provider}` });
+      }
+
+      res.json({
+        ...this.health.summary(provider, Boolean(entry && entry.disabled)),
+        history: history.slice().reverse()
+      });
+    });
+
+    // Run the canary for one provider now
+    this.app.post("/health/providers/:provider/run", async (req, res) => {
+      if (!this.health) {
+        return res.status(404).json({ error: "Health checks are disabled (HEALTH_CHECKS=off)" });
+      }
+
+      try {
+        res.json(await this.health.checkProvider(req.params.provider));
+      } catch (error) {
+        console.error("Health check error:", error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // 404 handler
     this.app.use((req, res) => {
       res.status(404).json({
         error: "Not found",
         availableEndpoints: [
           "GET /manifest.json",
+          "GET /manifest.sig",
+          "GET /manifest/verify",
           "GET /dist/:provider/:file",
+          "GET /search",
+          "GET /resolve",
+          "GET /extractors",
+          "GET /proxy",
+          "GET /subtitles",
+          "GET /events/search",
+          "GET /events/search/:provider",
+          "GET /events/catalog/:provider",
+          "POST /cache/purge",
+          "GET /base-urls",
+          "GET|PUT|DELETE /base-urls/:key",
+          "GET|DELETE /cookies",
+          "GET|PUT|DELETE /outbound-proxy",
           "POST /build",
+          "GET /build",
+          "GET /events/reload",
           "GET /status",
           "GET /providers",
           "GET /health",
+          "GET /metrics",
+          "GET /health/providers",
+          "GET /health/providers/:provider",
+          "POST /health/providers/:provider/run",
         ],
       });
     });
@@ -323,86 +852,453 @@ class DevServer {
     return null;
   }
 
-  async executeProviderFunction(provider, functionName, params) {
+  /**
+   * The ProviderType settings of a provider's catalog module. The bundle is
+   * verified and loaded in the sandbox, like a provider call.
+   */
+  async loadCatalog(provider) {
+    this.integrity?.check(provider);
+    return this.sandbox ? this.sandbox.catalog(provider) : loadCatalog(this.distDir, provider);
+  }
+
+  /**
+   * Every entry in manifest.json, disabled ones included.
+   */
+  readManifest() {
+    const manifestPath = path.join(this.currentDir, "manifest.json");
+    if (!fs.existsSync(manifestPath)) {
+      return [];
+    }
+    return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  }
+
+  /**
+   * Return the enabled manifest providers, optionally restricted to the
+   * given manifest types (english/global/india/italy).
+   */
+  getManifestProviders(types = []) {
+    return this.readManifest()
+      .filter((entry) => !entry.disabled)
+      .filter((entry) => types.length === 0 || types.includes(entry.type));
+  }
+
+  /**
+   * Run getSearchPosts on every enabled provider in parallel. Each provider
+   * gets its own timeout so a slow scraper only drops its own results.
+   * The optional callbacks fire as each provider settles, for streaming.
+   */
+  async searchAllProviders(
+    query,
+    { page = 1, types = [], timeout = this.searchTimeout, signal, onStart, onResult, onError } = {}
+  ) {
+    const providers = this.getManifestProviders(types);
+    const results = {};
+    const errors = [];
+
+    if (onStart) onStart(providers.map((entry) => entry.value));
+
+    await Promise.all(
+      providers.map(async ({ value: provider }) => {
+        const startTime = Date.now();
+        try {
+          const posts = await this.executeProviderFunction(provider, 'getSearchPosts', {
+            searchQuery: query,
+            page
+          }, { signal, timeout });
+          results[provider] = Array.isArray(posts) ? posts : [];
+          if (onResult) onResult(provider, results[provider]);
+        } catch (error) {
+          const failure = {
+            provider,
+            error: error.message,
+            code: error.code,
+            timedOut: error instanceof ProviderTimeoutError,
+            duration: Date.now() - startTime
+          };
+          errors.push(failure);
+          if (onError) onError(failure);
+        }
+      })
+    );
+
+    return {
+      query,
+      page,
+      providers: providers.map((entry) => entry.value),
+      results,
+      merged: mergeSearchResults(providers, results),
+      errors
+    };
+  }
+
+  /**
+   * Whether a request wants contract validation: `?strict=true` turns it on,
+   * `?strict=false` turns it off, otherwise STRICT_VALIDATION decides.
+   */
+  isStrict(req) {
+    const { strict } = req.query;
+    return strict === undefined ? this.strict : strict === 'true';
+  }
+
+  /**
+   * Answer a provider route from the cache, running the provider on a miss.
+   * Sets Cache-Control/ETag and honours If-None-Match. A request with
+   * `Cache-Control: no-cache` skips the cached copy. `transform` rewrites
+   * the result just before it is sent. In strict mode the (cached) result is
+   * validated and sent as `{ data, violations }`.
+   */
+  async sendCachedResult(req, res, provider, functionName, params, transform = (value) => value) {
+    const execute = () =>
+      this.executeProviderFunction(provider, functionName, params, { signal: requestSignal(res) });
+    const render = (value) => {
+      if (!this.isStrict(req)) {
+        return transform(value);
+      }
+      const violations = validateResult(functionName, value);
+      res.set('X-Contract-Violations', String(violations.length));
+      return { data: transform(value), violations };
+    };
+
+    if (!this.cache) {
+      return res.json(render(await execute()));
+    }
+
+    const cached = await this.cache.get(provider, functionName, params, execute, {
+      bypass: (req.headers['cache-control'] || '').includes('no-cache')
+    });
+
+    res.set({
+      'Cache-Control': `public, max-age=${cached.maxAge}, stale-while-revalidate=${cached.staleWhileRevalidate}`,
+      'X-Cache': cached.status,
+      Age: String(cached.age || 0)
+    });
+    // The ETag covers the body as sent, so ?proxy, ?subtitles and strict
+    // variants of one cached result never share a validator
+    const body = JSON.stringify(render(cached.value));
+    const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+    res.set('ETag', etag);
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+    res.type('json').send(body);
+  }
+
+  /**
+   * Send a provider failure as structured JSON, with the HTTP status taken
+   * from the error code (e.g. BLOCKED -> 502, TIMEOUT -> 504). Nothing is
+   * written once the client is gone.
+   */
+  sendProviderError(res, error) {
+    if (res.headersSent || res.writableEnded || res.destroyed) {
+      return;
+    }
+
+    const code = ERROR_STATUS[error.code] ? error.code : 'UNKNOWN';
+    res.status(error.status || ERROR_STATUS[code]).json({
+      error: error.message || "Provider execution failed",
+      code,
+      provider: error.provider,
+      function: error.functionName,
+      upstreamStatus: error.upstreamStatus,
+      url: error.url,
+      timeout: error.timeout,
+      problems: error.problems
+    });
+  }
+
+  /**
+   * Run a provider function from dist/, in the sandbox's worker threads
+   * unless SANDBOX=off. The provider receives a signal that aborts when
+   * `options.signal` aborts (e.g. the client disconnected) or when the
+   * per-function deadline passes, whichever comes first. With
+   * `options.strict` the result is checked against the output contract and
+   * `{ data, violations }` is returned instead of the bare result.
+   */
+  async executeProviderFunction(provider, functionName, params, options = {}) {
+    const startedAt = Date.now();
+
     try {
-      // Import the provider context
-      const { providerContext } = require(path.join(__dirname, "dist", "providerContext"));
-
-      // Map function names to actual provider functions
-      const functionMap = {
-        'getPosts': 'getPosts',
-        'getSearchPosts': 'getSearchPosts',
-        'getMeta': 'getMeta',
-        'getStream': 'getStream',
-        'getEpisodes': 'getEpisodes'
-      };
+      if (!FUNCTION_MODULES[functionName] && !(provider === EXTRACTORS && functionName === 'resolve')) {
+        const error = new Error(`Unknown function: ${functionName}`);
+        error.code = 'UNSUPPORTED';
+        error.status = 400;
+        error.loadError = true;
+        throw error;
+      }
 
-      const actualFunctionName = functionMap[functionName];
-      if (!actualFunctionName) {
-        throw new Error(`Unknown function: ${functionName}`);
+      const controller = new AbortController();
+      const timeout = options.timeout || this.timeouts[functionName];
+      const onAbort = () => controller.abort(options.signal.reason);
+      const timer = setTimeout(() => {
+        controller.abort(new ProviderTimeoutError(provider, functionName, timeout));
+      }, timeout);
+
+      if (options.signal) {
+        if (options.signal.aborted) {
+          onAbort();
+        } else {
+          options.signal.addEventListener('abort', onAbort, { once: true });
+        }
       }
 
-      // Import the specific provider function
-      let providerFunction;
-      let modulePath;
+      // Providers that ignore the signal still must not hold the response
+      const aborted = new Promise((_, reject) => {
+        if (controller.signal.aborted) {
+          reject(controller.signal.reason);
+        }
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+      });
 
+      let data;
       try {
-        // Use compiled versions from dist directory
-        if (functionName === 'getPosts' || functionName === 'getSearchPosts') {
-          modulePath = path.join(this.distDir, provider, 'posts.js');
-          const module = require(modulePath);
-          providerFunction = functionName === 'getPosts' ? module.getPosts : module.getSearchPosts;
-        } else if (functionName === 'getMeta') {
-          modulePath = path.join(this.distDir, provider, 'meta.js');
-          const module = require(modulePath);
-          providerFunction = module.getMeta;
-        } else if (functionName === 'getStream') {
-          modulePath = path.join(this.distDir, provider, 'stream.js');
-          const module = require(modulePath);
-          providerFunction = module.getStream;
-        } else if (functionName === 'getEpisodes') {
-          modulePath = path.join(this.distDir, provider, 'episodes.js');
-          const module = require(modulePath);
-          providerFunction = module.getEpisodes;
+        data = await Promise.race([this.runProvider(provider, functionName, params, controller.signal), aborted]);
+      } finally {
+        clearTimeout(timer);
+        if (options.signal) {
+          options.signal.removeEventListener('abort', onAbort);
         }
+      }
 
-        // Clear require cache to get fresh module
-        if (modulePath && require.cache[modulePath]) {
-          delete require.cache[modulePath];
-          const module = require(modulePath);
-          if (functionName === 'getPosts' || functionName === 'getSearchPosts') {
-            providerFunction = functionName === 'getPosts' ? module.getPosts : module.getSearchPosts;
-          } else if (functionName === 'getMeta') {
-            providerFunction = module.getMeta;
-          } else if (functionName === 'getStream') {
-            providerFunction = module.getStream;
-          } else if (functionName === 'getEpisodes') {
-            providerFunction = module.getEpisodes;
-          }
+      this.metrics.recordCall(provider, functionName, startedAt, data);
+
+      if (!options.strict) {
+        return data;
+      }
+      const violations = validateResult(functionName, data);
+      if (violations.length > 0) {
+        console.warn(`⚠️  ${provider}.${functionName}: ${violations.length} contract violation(s)`);
+      }
+      return { data, violations };
+    } catch (error) {
+      console.error(`Error executing ${provider}.${functionName}:`, error);
+      const providerError = ERROR_STATUS[error.code] || !this.loadProviderErrors()
+        ? error
+        : this.loadProviderErrors().toProviderError(error);
+      providerError.provider = providerError.provider || provider;
+      providerError.functionName = providerError.functionName || functionName;
+      // Only calls that reached a provider function are counted in /metrics
+      if (!providerError.loadError) {
+        this.metrics.recordCall(provider, functionName, startedAt, undefined, providerError);
+      }
+      throw providerError;
+    }
+  }
+
+  /**
+   * Start a provider call in the sandbox, or in this process when the
+   * sandbox is off.
+   */
+  runProvider(provider, functionName, params, signal) {
+    // Refuse to run a bundle that doesn't match its manifest hashes
+    this.integrity?.check(provider);
+
+    if (this.sandbox) {
+      return this.sandbox.run(provider, functionName, params, signal);
+    }
+
+    // Count outbound requests per host; the sandbox workers report theirs
+    this.loadDistModule("httpInterceptors")?.useInterceptor("metrics", this.metrics.httpInterceptor);
+    return runProviderFunction(this.distDir, provider, functionName, params, signal);
+  }
+
+  /**
+   * Send an event to every client of /events/reload.
+   */
+  broadcastReload(event, data) {
+    for (const client of this.reloadClients) {
+      client.send(event, data);
+    }
+  }
+
+  /**
+   * Rebuild one provider (or with `provider` null, whatever changed since
+   * the last build) and drop the stale modules so the next call runs the
+   * new code. Builds run one at a time; `clean` rebuilds everything from an
+   * empty dist/. Compile errors are reported in the result instead of
+   * thrown.
+   */
+  async rebuild(provider, { clean = false } = {}) {
+    while (this.building) {
+      await this.building.catch(() => {});
+    }
+
+    const run = async () => {
+      const startedAt = new Date().toISOString();
+      this.buildState = { status: "building", provider, startedAt, errors: [] };
+      this.broadcastReload("building", { provider });
+
+      const builder = new ProviderBuilder();
+      const result = provider ? await builder.buildTargeted(provider) : await builder.build({ clean });
+      this.buildState = {
+        status: result.success ? "ok" : "failed",
+        provider,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        errors: result.errors
+      };
+
+      if (!result.success) {
+        this.broadcastReload("build-error", { provider, errors: result.errors });
+        return result;
+      }
+
+      // A shared module (providerContext, extractors, getBaseUrl...) can
+      // change any provider's behaviour, so everything is reloaded then
+      const prefix = provider ? path.join(this.distDir, provider) + path.sep : this.distDir + path.sep;
+      invalidateModules(prefix);
+      if (this.sandbox) {
+        this.sandbox.invalidate(prefix);
+      }
+      if (this.cache) {
+        this.cache.purge(provider ? { provider } : {});
+      }
+      this.broadcastReload("reload", { provider, files: result.files, duration: result.duration });
+      return result;
+    };
+
+    this.building = run();
+    try {
+      return await this.building;
+    } finally {
+      this.building = null;
+    }
+  }
+
+  /**
+   * Watch providers/ and rebuild what changed: the provider whose directory
+   * a file is in, or everything when a shared top-level module changed.
+   * Changes are batched for a moment so a save of several files builds once.
+   */
+  startWatcher() {
+    const changed = new Set();
+    let timer = null;
+
+    const flush = async () => {
+      timer = null;
+      const targets = [...changed];
+      changed.clear();
+      // null means a shared module changed, which covers every provider
+      const queue = targets.includes(null) ? [null] : targets;
+      for (const provider of queue) {
+        try {
+          await this.rebuild(provider);
+        } catch (error) {
+          console.error(`Rebuild of ${provider || "shared modules"} failed:`, error.message);
         }
-      } catch (importError) {
-        console.error(`Import error for ${provider}/${functionName}:`, importError.message);
-        throw new Error(`Provider function not found: ${provider}/${functionName}`);
       }
+    };
+
+    const onChange = (provider, filename) => {
+      if (!filename || !(filename.endsWith(".ts") || filename === "provider.json")) return;
+      changed.add(provider);
+      clearTimeout(timer);
+      timer = setTimeout(flush, 300);
+    };
 
-      if (!providerFunction) {
-        throw new Error(`Function not exported: ${functionName} from ${provider}`);
+    // One watcher per directory: recursive fs.watch misses files that
+    // editors replace by renaming on some platforms
+    this.watchers = new Map();
+    const watchDir = (dir, provider) => {
+      if (this.watchers.has(dir)) return;
+      try {
+        const watcher = fs.watch(dir, (event, filename) => {
+          if (provider === null && filename && !filename.includes(".")) {
+            // Possibly a new provider directory
+            const providerDir = path.join(dir, filename);
+            if (fs.existsSync(providerDir) && fs.statSync(providerDir).isDirectory()) {
+              watchDir(providerDir, filename);
+            }
+          }
+          onChange(provider, filename);
+        });
+        watcher.on("error", () => {
+          watcher.close();
+          this.watchers.delete(dir);
+        });
+        this.watchers.set(dir, watcher);
+      } catch (error) {
+        console.error(`Could not watch ${dir}:`, error.message);
       }
 
-      // Execute the function with proper parameters
-      const signal = new AbortController().signal;
-      const executionParams = {
-        ...params,
-        providerValue: provider,
-        signal,
-        providerContext
+      for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (item.isDirectory() && !item.name.startsWith(".") && item.name !== "__fixtures__") {
+          watchDir(path.join(dir, item.name), provider === null ? item.name : provider);
+        }
+      }
+    };
+
+    watchDir(this.providersDir, null);
+    console.log("👀 Watching providers/ for changes");
+  }
+
+  /**
+   * Scheduler queues and circuit breakers from wherever providers run: the
+   * sandbox workers (each keeps its own), or this process.
+   */
+  async getHttpStats() {
+    if (!this.sandbox) {
+      return {
+        scheduler: this.loadDistModule("httpScheduler")?.schedulerStats() ?? null,
+        breakers: this.loadDistModule("httpRetry")?.breakerStats() ?? null
       };
+    }
 
-      const result = await providerFunction(executionParams);
-      return result;
+    try {
+      const [scheduler, breakers] = await Promise.all([
+        this.sandbox.invokeAll("httpScheduler", "schedulerStats"),
+        this.sandbox.invokeAll("httpRetry", "breakerStats")
+      ]);
+      const rank = { closed: 0, "half-open": 1, open: 2 };
+      const mergedBreakers = {};
+      for (const stats of breakers) {
+        for (const [host, breaker] of Object.entries(stats)) {
+          // A host can have a breaker in several workers; show the worst
+          const current = mergedBreakers[host];
+          if (!current || rank[breaker.state] > rank[current.state]) {
+            mergedBreakers[host] = breaker;
+          }
+        }
+      }
+      return { scheduler: Object.assign({}, ...scheduler), breakers: mergedBreakers };
     } catch (error) {
-      console.error(`Error executing ${provider}.${functionName}:`, error);
-      throw error;
+      return { scheduler: null, breakers: null };
+    }
+  }
+
+  /**
+   * Re-read provider-config.json here and in every sandbox worker, applying
+   * changed rate limits to the open queues and dropping pooled proxy
+   * connections.
+   */
+  async reloadProviderConfig() {
+    this.loadDistModule("providerConfig")?.reloadProviderConfig();
+    this.loadDistModule("httpScheduler")?.reloadRateLimits();
+    this.loadDistModule("httpProxy")?.resetProxyAgents();
+    if (this.sandbox) {
+      await this.sandbox.invokeAll("providerConfig", "reloadProviderConfig");
+      await Promise.all([
+        this.sandbox.invokeAll("httpScheduler", "reloadRateLimits"),
+        this.sandbox.invokeAll("httpProxy", "resetProxyAgents")
+      ]);
+    }
+  }
+
+  /**
+   * The compiled providerErrors module, or null before the first build.
+   */
+  loadProviderErrors() {
+    return this.loadDistModule("providerErrors");
+  }
+
+  /**
+   * A compiled shared module from dist/ (e.g. "httpScheduler"), or null
+   * before the first build.
+   */
+  loadDistModule(name) {
+    try {
+      return require(path.join(this.distDir, name));
+    } catch (error) {
+      return null;
     }
   }
 
@@ -431,12 +1327,20 @@ class DevServer {
   // 2. Update vega app to use: http://${localIp}:${this.port}
   3. Test your providers!
 
-🔄 Auto-rebuild: POST to /build to rebuild after changes
+🔄 Auto-rebuild: providers/ is watched (WATCH=off to disable); POST /build rebuilds everything
       `);
 
       // Check if build exists
       if (!fs.existsSync(this.distDir)) {
-        console.log('\n⚠️  No build found. Run "node build.js" first!\n');
+        console.log('\n⚠️  No build found. Run "npm run build" first!\n');
+      }
+
+      if (process.env.WATCH !== "off") {
+        this.startWatcher();
+      }
+
+      if (this.health) {
+        this.health.start();
       }
     });
   }
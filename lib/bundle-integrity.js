@@ -0,0 +1,264 @@
+// Integrity data for the bundles the app downloads: every manifest.json
+// entry lists its dist/<provider>/*.js files with their size and SHA-256,
+// and manifest.sig optionally holds an Ed25519 signature of manifest.json.
+// A bundle that was tampered with or only partly uploaded no longer matches
+// and is rejected before it runs.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+class IntegrityError extends Error {
+  constructor(message, { provider, problems = [] } = {}) {
+    super(message);
+    this.name = "IntegrityError";
+    this.code = "INTEGRITY_ERROR";
+    this.provider = provider;
+    this.problems = problems;
+    // The provider never ran
+    this.loadError = true;
+  }
+}
+
+function signaturePath(manifestPath) {
+  return path.join(path.dirname(manifestPath), "manifest.sig");
+}
+
+function hashBuffer(buffer) {
+  return {
+    size: buffer.length,
+    sha256: crypto.createHash("sha256").update(buffer).digest("hex"),
+  };
+}
+
+function listJsFiles(dir, base = dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .flatMap((item) => {
+      const fullPath = path.join(dir, item.name);
+      if (item.isDirectory()) return listJsFiles(fullPath, base);
+      return item.name.endsWith(".js") ? [path.relative(base, fullPath).split(path.sep).join("/")] : [];
+    })
+    .sort();
+}
+
+/**
+ * `{ "posts.js": { size, sha256 }, ... }` for one provider's compiled
+ * files, or null when it has none.
+ */
+function bundleFiles(distDir, provider) {
+  const providerDir = path.join(distDir, provider);
+  const files = listJsFiles(providerDir);
+  if (files.length === 0) return null;
+  return Object.fromEntries(
+    files.map((file) => [file, hashBuffer(fs.readFileSync(path.join(providerDir, file)))])
+  );
+}
+
+/**
+ * Write `manifest` to manifestPath, but only when it changed, then sign it
+ * with `privateKey` (a PEM string or KeyObject) if one is given. Without a
+ * key a now stale manifest.sig is removed. Returns whether the manifest
+ * changed.
+ */
+function writeManifest(manifestPath, manifest, { privateKey } = {}) {
+  const text = fs.existsSync(manifestPath) ? fs.readFileSync(manifestPath, "utf8") : "";
+  const updated = JSON.stringify(manifest, null, 2) + "\n";
+  const changed = updated !== text;
+  if (changed) {
+    fs.writeFileSync(manifestPath, updated);
+  }
+
+  const sigPath = signaturePath(manifestPath);
+  if (privateKey) {
+    fs.writeFileSync(sigPath, signManifest(updated, privateKey) + "\n");
+  } else if (changed && fs.existsSync(sigPath)) {
+    fs.rmSync(sigPath);
+  }
+  return changed;
+}
+
+/**
+ * Base64 Ed25519 signature of the exact manifest.json text.
+ */
+function signManifest(manifestText, privateKey) {
+  return crypto.sign(null, Buffer.from(manifestText), privateKey).toString("base64");
+}
+
+function verifyManifestSignature(manifestText, signature, publicKey) {
+  try {
+    return crypto.verify(null, Buffer.from(manifestText), publicKey, Buffer.from(signature.trim(), "base64"));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Compare one provider's files in `distDir` with its manifest entry.
+ * Returns the problems found, as { file, reason }, where reason is
+ * "missing", "size", "sha256" or "unlisted". An entry without `files` has
+ * nothing to check against.
+ */
+function verifyBundle(distDir, entry) {
+  if (!entry.files) return [];
+  const providerDir = path.join(distDir, entry.value);
+  const problems = [];
+
+  for (const [file, expected] of Object.entries(entry.files)) {
+    const filePath = path.join(providerDir, file);
+    if (!fs.existsSync(filePath)) {
+      problems.push({ file, reason: "missing" });
+      continue;
+    }
+    const actual = hashBuffer(fs.readFileSync(filePath));
+    if (actual.size !== expected.size) {
+      problems.push({ file, reason: "size", expected: expected.size, actual: actual.size });
+    } else if (actual.sha256 !== expected.sha256) {
+      problems.push({ file, reason: "sha256" });
+    }
+  }
+  for (const file of listJsFiles(providerDir)) {
+    if (!entry.files[file]) {
+      problems.push({ file, reason: "unlisted" });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Checks providers against manifest.json (and manifest.sig, when a public
+ * key is configured) before they run. Results are cached until the
+ * manifest or one of the provider's files changes.
+ */
+class BundleVerifier {
+  constructor({ manifestPath, distDir, publicKey = null }) {
+    this.manifestPath = manifestPath;
+    this.distDir = distDir;
+    this.publicKey = publicKey;
+    this.results = new Map();
+  }
+
+  fingerprint(provider) {
+    const stamp = (file) => {
+      if (!fs.existsSync(file)) return "-";
+      const stats = fs.statSync(file);
+      return `${stats.size}:${stats.mtimeMs}`;
+    };
+    const providerDir = path.join(this.distDir, provider);
+    return [
+      stamp(this.manifestPath),
+      stamp(signaturePath(this.manifestPath)),
+      ...listJsFiles(providerDir).map((file) => `${file}=${stamp(path.join(providerDir, file))}`),
+    ].join("|");
+  }
+
+  /**
+   * Whether manifest.sig matches manifest.json: null when no public key is
+   * configured, otherwise true or false.
+   */
+  signatureValid() {
+    if (!this.publicKey) return null;
+    const sigPath = signaturePath(this.manifestPath);
+    if (!fs.existsSync(sigPath) || !fs.existsSync(this.manifestPath)) return false;
+    return verifyManifestSignature(
+      fs.readFileSync(this.manifestPath, "utf8"),
+      fs.readFileSync(sigPath, "utf8"),
+      this.publicKey
+    );
+  }
+
+  /**
+   * Problems with one provider's bundle, as returned by verifyBundle, plus
+   * a "signature" problem when the manifest signature doesn't verify.
+   * Providers missing from the manifest aren't checked.
+   */
+  problems(provider) {
+    const fingerprint = this.fingerprint(provider);
+    const cached = this.results.get(provider);
+    if (cached && cached.fingerprint === fingerprint) {
+      return cached.problems;
+    }
+
+    const problems = [];
+    if (this.signatureValid() === false) {
+      problems.push({ file: "manifest.json", reason: "signature" });
+    }
+    const manifest = fs.existsSync(this.manifestPath)
+      ? JSON.parse(fs.readFileSync(this.manifestPath, "utf8"))
+      : [];
+    const entry = manifest.find((item) => item.value === provider);
+    if (entry) {
+      problems.push(...verifyBundle(this.distDir, entry));
+    }
+
+    this.results.set(provider, { fingerprint, problems });
+    return problems;
+  }
+
+  /**
+   * Throw an IntegrityError if the provider's bundle doesn't match.
+   */
+  check(provider) {
+    const problems = this.problems(provider);
+    if (problems.length > 0) {
+      const summary = problems.map(({ file, reason }) => `${file} (${reason})`).join(", ");
+      throw new IntegrityError(`Bundle for ${provider} failed verification: ${summary}`, {
+        provider,
+        problems,
+      });
+    }
+  }
+
+  /**
+   * Verification result for every manifest entry.
+   */
+  report() {
+    const manifest = fs.existsSync(this.manifestPath)
+      ? JSON.parse(fs.readFileSync(this.manifestPath, "utf8"))
+      : [];
+    return {
+      signature: this.signatureValid(),
+      providers: manifest.map((entry) => {
+        const problems = this.problems(entry.value);
+        return {
+          provider: entry.value,
+          verified: Boolean(entry.files) && problems.length === 0,
+          problems,
+        };
+      }),
+    };
+  }
+}
+
+function readKey(file) {
+  return file ? fs.readFileSync(file, "utf8") : undefined;
+}
+
+/**
+ * Build the dev server's verifier. VERIFY_BUNDLES=off disables it;
+ * MANIFEST_PUBLIC_KEY is the path of a PEM public key to also require a
+ * valid manifest.sig.
+ */
+function createBundleVerifier(rootDir) {
+  if (process.env.VERIFY_BUNDLES === "off") {
+    return null;
+  }
+  return new BundleVerifier({
+    manifestPath: path.join(rootDir, "manifest.json"),
+    distDir: path.join(rootDir, "dist"),
+    publicKey: readKey(process.env.MANIFEST_PUBLIC_KEY) || null,
+  });
+}
+
+module.exports = {
+  IntegrityError,
+  BundleVerifier,
+  bundleFiles,
+  writeManifest,
+  signManifest,
+  verifyManifestSignature,
+  verifyBundle,
+  readKey,
+  createBundleVerifier,
+};
@@ -0,0 +1,204 @@
+// Minimal Prometheus text-format metrics: labelled counters and histograms,
+// enough for the dev server's /metrics endpoint without extra dependencies.
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 45];
+const COUNT_BUCKETS = [0, 1, 5, 10, 25, 50, 100, 250];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  labelsOf(labels) {
+    return Object.fromEntries(this.labelNames.map((name) => [name, labels[name] ?? ""]));
+  }
+
+  inc(labels = {}, value = 1) {
+    const own = this.labelsOf(labels);
+    const key = JSON.stringify(own);
+    const entry = this.values.get(key) || { labels: own, value: 0 };
+    entry.value += value;
+    this.values.set(key, entry);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const { labels, value } of this.values.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines.join("\n");
+  }
+}
+
+class Histogram extends Counter {
+  constructor(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels = {}, value) {
+    const own = this.labelsOf(labels);
+    const key = JSON.stringify(own);
+    const entry = this.values.get(key) || {
+      labels: own,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    };
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+    this.values.set(key, entry);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines.join("\n");
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help, labelNames) {
+    const metric = new Counter(name, help, labelNames);
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    const metric = new Histogram(name, help, labelNames, buckets);
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    return this.metrics.map((metric) => metric.render()).join("\n\n") + "\n";
+  }
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return "invalid";
+  }
+}
+
+/**
+ * Interceptor for the providerContext axios/fetch chain that reports each
+ * outbound request as `{ provider, host, status, duration }` (status is
+ * "error" when no response arrived, duration in seconds).
+ */
+function upstreamInterceptor(onSample) {
+  return async (request, next) => {
+    const host = hostOf(request.url);
+    const provider = request.scope?.provider || "";
+    const startedAt = Date.now();
+    let status = "error";
+    try {
+      const response = await next(request);
+      status = response.status;
+      return response;
+    } finally {
+      onSample({ provider, host, status, duration: (Date.now() - startedAt) / 1000 });
+    }
+  };
+}
+
+/**
+ * Metrics for provider calls (recorded by the dev server) and for the
+ * upstream requests they make (`recordUpstream`, fed by
+ * `upstreamInterceptor` in whichever thread runs the provider).
+ */
+function createProviderMetrics() {
+  const registry = new Registry();
+
+  const calls = registry.counter(
+    "vega_provider_calls_total",
+    "Provider function calls.",
+    ["provider", "function"]
+  );
+  const errors = registry.counter(
+    "vega_provider_errors_total",
+    "Failed provider function calls by error code.",
+    ["provider", "function", "code"]
+  );
+  const duration = registry.histogram(
+    "vega_provider_call_duration_seconds",
+    "Provider function latency in seconds.",
+    ["provider", "function"]
+  );
+  const items = registry.histogram(
+    "vega_provider_result_items",
+    "Number of items returned by successful provider calls.",
+    ["provider", "function"],
+    COUNT_BUCKETS
+  );
+  const upstreamRequests = registry.counter(
+    "vega_upstream_requests_total",
+    "Outbound HTTP requests by upstream host and status ('error' when no response).",
+    ["provider", "host", "status"]
+  );
+  const upstreamDuration = registry.histogram(
+    "vega_upstream_request_duration_seconds",
+    "Outbound HTTP request latency in seconds by upstream host.",
+    ["host"]
+  );
+
+  const recordUpstream = ({ provider, host, status, duration }) => {
+    upstreamRequests.inc({ provider, host, status });
+    upstreamDuration.observe({ host }, duration);
+  };
+
+  return {
+    registry,
+    recordUpstream,
+    httpInterceptor: upstreamInterceptor(recordUpstream),
+
+    recordCall(provider, functionName, startedAt, result, error) {
+      const labels = { provider, function: functionName };
+      calls.inc(labels);
+      duration.observe(labels, (Date.now() - startedAt) / 1000);
+      if (error) {
+        errors.inc({ ...labels, code: error.code || "UNKNOWN" });
+      } else {
+        const count = Array.isArray(result) ? result.length : result?.linkList?.length ?? (result ? 1 : 0);
+        items.observe(labels, count);
+      }
+    },
+  };
+}
+
+module.exports = {
+  Counter,
+  Histogram,
+  Registry,
+  upstreamInterceptor,
+  createProviderMetrics,
+};
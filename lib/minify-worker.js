@@ -0,0 +1,61 @@
+// Minifies compiled provider files in place for build-simple.js. Required
+// directly for small batches, or started as a worker thread with
+// `workerData: { files, keepConsole }` to minify a batch in parallel.
+
+const fs = require("fs");
+const { parentPort, workerData } = require("worker_threads");
+const { minify } = require("terser");
+
+function minifyOptions(keepConsole) {
+  return {
+    compress: {
+      drop_console: !keepConsole, // Remove console logs unless KEEP_CONSOLE=true
+      drop_debugger: true,
+      pure_funcs: keepConsole
+        ? ["console.debug"]
+        : ["console.debug", "console.log", "console.info", "console.warn"],
+    },
+    mangle: false, // Disable variable name mangling to keep original names
+    format: {
+      comments: false, // Remove comments
+    },
+  };
+}
+
+/**
+ * Minify one file in place. Resolves to { file, before, after } with the
+ * sizes in bytes, plus `error` when the file was left as it was.
+ */
+async function minifyFile(filePath, keepConsole) {
+  const code = fs.readFileSync(filePath, "utf8");
+  const before = Buffer.byteLength(code);
+  try {
+    const result = await minify(code, minifyOptions(keepConsole));
+    if (!result.code) {
+      return { file: filePath, before, after: before, error: "No output code" };
+    }
+    fs.writeFileSync(filePath, result.code);
+    return { file: filePath, before, after: Buffer.byteLength(result.code) };
+  } catch (error) {
+    return { file: filePath, before, after: before, error: error.message };
+  }
+}
+
+async function minifyBatch(files, keepConsole) {
+  const results = [];
+  for (const file of files) {
+    results.push(await minifyFile(file, keepConsole));
+  }
+  return results;
+}
+
+if (parentPort && workerData?.files) {
+  minifyBatch(workerData.files, workerData.keepConsole).then((results) =>
+    parentPort.postMessage(results)
+  );
+}
+
+module.exports = {
+  minifyFile,
+  minifyBatch,
+};
@@ -0,0 +1,265 @@
+const fs = require("fs");
+const path = require("path");
+
+// Freshness windows (seconds) per provider function. `ttl` is how long a
+// result is served as fresh; `swr` is how long after that it may still be
+// served while a background refresh runs.
+const DEFAULT_TTL = {
+  getPosts: { ttl: 5 * 60, swr: 10 * 60 },
+  getSearchPosts: { ttl: 5 * 60, swr: 10 * 60 },
+  getMeta: { ttl: 6 * 60 * 60, swr: 24 * 60 * 60 },
+  getEpisodes: { ttl: 6 * 60 * 60, swr: 24 * 60 * 60 },
+  getStream: { ttl: 2 * 60, swr: 0 },
+  resolve: { ttl: 2 * 60, swr: 0 },
+};
+
+/**
+ * In-memory LRU store. Any object with the same get/set/delete/keys methods
+ * can be passed to ProviderCache instead.
+ */
+class MemoryStore {
+  constructor(maxEntries = 500) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      // Re-insert to mark as most recently used
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  keys() {
+    return [...this.entries.keys()];
+  }
+}
+
+/**
+ * LRU store that is persisted to a JSON file, so the cache survives dev
+ * server restarts. Writes are batched.
+ */
+class FileStore extends MemoryStore {
+  constructor(filePath, maxEntries = 500) {
+    super(maxEntries);
+    this.filePath = filePath;
+    this.saveTimer = null;
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(saved)) {
+        if (entry.staleUntil > now) {
+          super.set(key, entry);
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to load cache from ${this.filePath}:`, error.message);
+    }
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(Object.fromEntries(this.entries)));
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), 1000);
+    this.saveTimer.unref();
+  }
+
+  set(key, entry) {
+    super.set(key, entry);
+    this.scheduleSave();
+  }
+
+  delete(key) {
+    super.delete(key);
+    this.scheduleSave();
+  }
+}
+
+/**
+ * Cache for provider function results with per-function TTLs and
+ * stale-while-revalidate. Concurrent misses for the same key share one
+ * upstream call.
+ */
+class ProviderCache {
+  constructor({ store = new MemoryStore(), ttl = {} } = {}) {
+    this.store = store;
+    this.ttl = { ...DEFAULT_TTL, ...ttl };
+    this.inflight = new Map();
+    this.stats = { hits: 0, stale: 0, misses: 0 };
+  }
+
+  key(provider, functionName, params) {
+    const sorted = Object.keys(params)
+      .sort()
+      .map((name) => [name, params[name]]);
+    return `${provider}:${functionName}:${JSON.stringify(sorted)}`;
+  }
+
+  /**
+   * Return the cached result for a call, or run `execute` to fill it.
+   * Resolves to `{ value, status, maxAge, staleWhileRevalidate }`
+   * where status is HIT, STALE or MISS.
+   */
+  async get(provider, functionName, params, execute, { bypass = false } = {}) {
+    const policy = this.ttl[functionName];
+    if (!policy) {
+      return { value: await execute(), status: "MISS", maxAge: 0, staleWhileRevalidate: 0 };
+    }
+
+    const key = this.key(provider, functionName, params);
+    const entry = bypass ? undefined : this.store.get(key);
+    const now = Date.now();
+
+    if (entry && entry.freshUntil > now) {
+      this.stats.hits++;
+      return this.describe(entry, "HIT", policy);
+    }
+
+    if (entry && entry.staleUntil > now) {
+      this.stats.stale++;
+      this.refresh(key, provider, functionName, execute).catch((error) => {
+        console.error(`Background refresh failed for ${key}:`, error.message);
+      });
+      return this.describe(entry, "STALE", policy);
+    }
+
+    this.stats.misses++;
+    const fresh = await this.join(key, provider, functionName, execute);
+    return this.describe(fresh, "MISS", policy);
+  }
+
+  /**
+   * Wait for a refresh of `key`, sharing one already in flight. A shared
+   * call runs the `execute` of the request that started it, so if it was
+   * cancelled (that client went away) the waiters run their own instead.
+   */
+  async join(key, provider, functionName, execute) {
+    for (;;) {
+      const shared = this.inflight.has(key);
+      try {
+        return await this.refresh(key, provider, functionName, execute);
+      } catch (error) {
+        if (!shared || error?.code !== "CANCELLED") throw error;
+      }
+    }
+  }
+
+  refresh(key, provider, functionName, execute) {
+    if (this.inflight.has(key)) {
+      return this.inflight.get(key);
+    }
+
+    const policy = this.ttl[functionName];
+    const pending = Promise.resolve()
+      .then(execute)
+      .then((value) => {
+        const now = Date.now();
+        const entry = {
+          provider,
+          functionName,
+          value,
+          storedAt: now,
+          freshUntil: now + policy.ttl * 1000,
+          staleUntil: now + (policy.ttl + policy.swr) * 1000,
+        };
+        // Empty results are usually a blocked or broken scrape; don't pin them
+        if (value && !(Array.isArray(value) && value.length === 0)) {
+          this.store.set(key, entry);
+        }
+        return entry;
+      })
+      .finally(() => this.inflight.delete(key));
+
+    this.inflight.set(key, pending);
+    return pending;
+  }
+
+  describe(entry, status, policy) {
+    return {
+      value: entry.value,
+      status,
+      age: Math.floor((Date.now() - entry.storedAt) / 1000),
+      maxAge: Math.max(0, Math.floor((entry.freshUntil - Date.now()) / 1000)),
+      staleWhileRevalidate: policy.swr,
+    };
+  }
+
+  /**
+   * Drop cached entries, optionally only those of one provider and/or
+   * function. Returns the number of entries removed.
+   */
+  purge({ provider, functionName } = {}) {
+    let purged = 0;
+    for (const key of this.store.keys()) {
+      const [keyProvider, keyFunction] = key.split(":");
+      if (provider && keyProvider !== provider) continue;
+      if (functionName && keyFunction !== functionName) continue;
+      this.store.delete(key);
+      purged++;
+    }
+    return purged;
+  }
+
+  getStats() {
+    return { ...this.stats, entries: this.store.keys().length };
+  }
+}
+
+/**
+ * Build the cache configured through the environment:
+ * CACHE_STORE=memory|file|off, CACHE_FILE and CACHE_MAX_ENTRIES.
+ */
+function createProviderCache(rootDir) {
+  const storeType = process.env.CACHE_STORE || "memory";
+  if (storeType === "off") {
+    return null;
+  }
+
+  const maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES) || 500;
+  const store =
+    storeType === "file"
+      ? new FileStore(
+          process.env.CACHE_FILE || path.join(rootDir, ".cache", "provider-cache.json"),
+          maxEntries
+        )
+      : new MemoryStore(maxEntries);
+
+  return new ProviderCache({ store });
+}
+
+module.exports = {
+  DEFAULT_TTL,
+  MemoryStore,
+  FileStore,
+  ProviderCache,
+  createProviderCache,
+};
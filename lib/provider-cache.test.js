@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { ProviderCache } = require("./provider-cache");
+
+// An execute() that settles after a tick, like a provider call
+function call(value, code) {
+  return () =>
+    new Promise((resolve, reject) =>
+      setTimeout(() => {
+        if (!code) return resolve(value);
+        const error = new Error(code);
+        error.code = code;
+        reject(error);
+      }, 10)
+    );
+}
+
+test("concurrent misses share one call", async () => {
+  const cache = new ProviderCache();
+  let calls = 0;
+  const execute = () => {
+    calls++;
+    return call(["post"])();
+  };
+  const results = await Promise.all([
+    cache.get("vega", "getPosts", { page: 1 }, execute),
+    cache.get("vega", "getPosts", { page: 1 }, execute),
+  ]);
+  assert.strictEqual(calls, 1);
+  assert.deepStrictEqual(results.map((result) => result.status), ["MISS", "MISS"]);
+});
+
+test("waiters run their own call when the shared one was cancelled", async () => {
+  const cache = new ProviderCache();
+  const results = await Promise.allSettled([
+    cache.get("vega", "getPosts", { page: 1 }, call(["first"], "CANCELLED")),
+    cache.get("vega", "getPosts", { page: 1 }, call(["second"])),
+    cache.get("vega", "getPosts", { page: 1 }, call(["third"])),
+  ]);
+  assert.strictEqual(results[0].reason.code, "CANCELLED");
+  assert.deepStrictEqual(results[1].value.value, ["second"]);
+  assert.deepStrictEqual(results[2].value.value, ["second"]);
+});
+
+test("other failures of a shared call reach every waiter", async () => {
+  const cache = new ProviderCache();
+  const results = await Promise.allSettled([
+    cache.get("vega", "getPosts", { page: 1 }, call(null, "BLOCKED")),
+    cache.get("vega", "getPosts", { page: 1 }, call(["second"])),
+  ]);
+  assert.deepStrictEqual(
+    results.map((result) => result.reason?.code),
+    ["BLOCKED", "BLOCKED"]
+  );
+});
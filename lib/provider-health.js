@@ -0,0 +1,294 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Keeps the last `historySize` canary runs per provider in a JSON file, so
+ * the history survives dev server restarts.
+ */
+class HealthStore {
+  constructor(filePath, historySize = 50) {
+    this.filePath = filePath;
+    this.historySize = historySize;
+    this.runs = {};
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      this.runs = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    } catch (error) {
+      console.error(`Failed to load health history from ${this.filePath}:`, error.message);
+    }
+  }
+
+  save() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.runs));
+  }
+
+  record(provider, run) {
+    const runs = (this.runs[provider] = this.runs[provider] || []);
+    runs.push(run);
+    runs.splice(0, Math.max(0, runs.length - this.historySize));
+    this.save();
+  }
+
+  history(provider) {
+    return this.runs[provider] || [];
+  }
+}
+
+function countItems(functionName, result) {
+  if (Array.isArray(result)) return result.length;
+  if (functionName === "getMeta") return result?.linkList?.length || 0;
+  return result ? 1 : 0;
+}
+
+/**
+ * Periodically runs a small canary against every manifest provider: the
+ * first catalog's getPosts, a fixed getSearchPosts query, then getMeta and
+ * getStream (via getEpisodes for series) on the first post found. Latency,
+ * item counts and errors of each step are kept in a HealthStore.
+ */
+class HealthMonitor {
+  constructor({
+    store,
+    listProviders,
+    loadCatalog,
+    execute,
+    interval = 30 * 60 * 1000,
+    searchQuery = "avengers",
+  }) {
+    this.store = store;
+    this.listProviders = listProviders;
+    this.loadCatalog = loadCatalog;
+    this.execute = execute;
+    this.interval = interval;
+    this.searchQuery = searchQuery;
+    this.timer = null;
+    this.running = null;
+    this.lastRunAt = null;
+  }
+
+  /**
+   * Start the background runner. The first pass waits `delay` ms so it
+   * doesn't compete with the server starting up.
+   */
+  start(delay = 60 * 1000) {
+    const schedule = (wait) => {
+      this.timer = setTimeout(async () => {
+        await this.runAll();
+        schedule(this.interval);
+      }, wait);
+      this.timer.unref();
+    };
+    schedule(delay);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Check every manifest provider one after another. A pass that is already
+   * running is returned instead of starting a second one.
+   */
+  runAll() {
+    if (this.running) {
+      return this.running;
+    }
+
+    this.running = (async () => {
+      for (const entry of this.listProviders()) {
+        try {
+          await this.checkProvider(entry.value);
+        } catch (error) {
+          console.error(`Health check failed for ${entry.value}:`, error.message);
+        }
+      }
+      this.lastRunAt = new Date().toISOString();
+    })().finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  async step(provider, functionName, params) {
+    const startedAt = Date.now();
+    try {
+      const result = await this.execute(provider, functionName, params);
+      const count = countItems(functionName, result);
+      return {
+        check: {
+          function: functionName,
+          ok: count > 0,
+          latency: Date.now() - startedAt,
+          count,
+          error: count > 0 ? undefined : "Empty result",
+        },
+        result,
+      };
+    } catch (error) {
+      return {
+        check: {
+          function: functionName,
+          ok: false,
+          latency: Date.now() - startedAt,
+          count: 0,
+          error: error.message,
+          code: error.code,
+        },
+      };
+    }
+  }
+
+  /**
+   * Run the canary for one provider, record it and return the run.
+   */
+  async checkProvider(provider) {
+    const startedAt = Date.now();
+    const checks = [];
+    const skip = (functionName, reason) =>
+      checks.push({ function: functionName, ok: false, skipped: true, error: reason });
+
+    let catalog = [];
+    try {
+      catalog = (await this.loadCatalog(provider)).catalog;
+    } catch (error) {
+      // Reported as a skipped getPosts below
+    }
+
+    let posts = [];
+    if (catalog.length > 0) {
+      const { check, result } = await this.step(provider, "getPosts", {
+        filter: catalog[0].filter,
+        page: 1,
+      });
+      checks.push(check);
+      posts = result || [];
+    } else {
+      skip("getPosts", "No catalog");
+    }
+
+    const search = await this.step(provider, "getSearchPosts", {
+      searchQuery: this.searchQuery,
+      page: 1,
+    });
+    checks.push(search.check);
+
+    const post = posts[0] || (search.result || [])[0];
+    if (!post) {
+      skip("getMeta", "No post to open");
+      skip("getStream", "No post to open");
+    } else {
+      const meta = await this.step(provider, "getMeta", { link: post.link });
+      checks.push(meta.check);
+
+      const link = meta.result?.linkList?.[0];
+      let streamLink = link?.directLinks?.[0]?.link;
+      if (!streamLink && link?.episodesLink) {
+        const episodes = await this.step(provider, "getEpisodes", { url: link.episodesLink });
+        checks.push(episodes.check);
+        streamLink = (episodes.result || [])[0]?.link;
+      }
+
+      if (streamLink) {
+        const streams = await this.step(provider, "getStream", {
+          link: streamLink,
+          type: meta.result.type || "movie",
+        });
+        checks.push(streams.check);
+      } else {
+        skip("getStream", "No link to stream");
+      }
+    }
+
+    const passed = checks.filter((check) => check.ok).length;
+    const run = {
+      startedAt: new Date(startedAt).toISOString(),
+      duration: Date.now() - startedAt,
+      status: passed === checks.length ? "healthy" : passed > 0 ? "degraded" : "down",
+      checks,
+    };
+    this.store.record(provider, run);
+    return run;
+  }
+
+  /**
+   * Latest status plus aggregates over the stored history for one provider.
+   * `suggestion` is set when the manifest `disabled` flag disagrees with the
+   * latest run.
+   */
+  summary(provider, disabled = false) {
+    const history = this.store.history(provider);
+    const last = history[history.length - 1];
+    if (!last) {
+      return { provider, disabled, status: "unknown", runs: 0 };
+    }
+
+    const latency = {};
+    for (const run of history) {
+      for (const check of run.checks) {
+        if (check.skipped) continue;
+        const entry = (latency[check.function] = latency[check.function] || { total: 0, runs: 0 });
+        entry.total += check.latency;
+        entry.runs++;
+      }
+    }
+
+    let suggestion;
+    if (disabled && last.status === "healthy") suggestion = "enable";
+    if (!disabled && last.status === "down") suggestion = "disable";
+
+    return {
+      provider,
+      disabled,
+      status: last.status,
+      lastCheckedAt: last.startedAt,
+      runs: history.length,
+      uptime: history.filter((run) => run.status === "healthy").length / history.length,
+      averageLatency: Object.fromEntries(
+        Object.entries(latency).map(([name, { total, runs }]) => [name, Math.round(total / runs)])
+      ),
+      failing: last.checks.filter((check) => !check.ok).map((check) => check.function),
+      suggestion,
+    };
+  }
+}
+
+/**
+ * Build the health monitor configured through the environment:
+ * HEALTH_CHECKS=off, HEALTH_INTERVAL (minutes), HEALTH_FILE,
+ * HEALTH_HISTORY and HEALTH_SEARCH_QUERY. Returns null when disabled.
+ */
+function createHealthMonitor(rootDir, { listProviders, loadCatalog, execute }) {
+  if (process.env.HEALTH_CHECKS === "off") {
+    return null;
+  }
+
+  const store = new HealthStore(
+    process.env.HEALTH_FILE || path.join(rootDir, ".cache", "provider-health.json"),
+    parseInt(process.env.HEALTH_HISTORY) || 50
+  );
+
+  return new HealthMonitor({
+    store,
+    listProviders,
+    loadCatalog,
+    execute,
+    interval: (parseFloat(process.env.HEALTH_INTERVAL) || 30) * 60 * 1000,
+    searchQuery: process.env.HEALTH_SEARCH_QUERY || "avengers",
+  });
+}
+
+module.exports = {
+  HealthStore,
+  HealthMonitor,
+  createHealthMonitor,
+};
@@ -0,0 +1,199 @@
+const fs = require("fs");
+const path = require("path");
+const { z } = require("zod");
+const { bundleFiles } = require("./bundle-integrity");
+
+// manifest.json is generated from providers/<provider>/provider.json by
+// build-simple.js. Every provider folder needs one; shared code lives in
+// top-level files of providers/.
+
+const REGIONS = ["global", "english", "india", "italy"];
+
+// Modules every enabled provider must have
+const REQUIRED_MODULES = ["catalog", "posts", "meta", "stream"];
+
+const ProviderMetaSchema = z.strictObject({
+  display_name: z.string().min(1, "display_name cannot be empty"),
+  type: z.enum(REGIONS, { message: `type must be one of: ${REGIONS.join(", ")}` }),
+  icon: z.string().default(""),
+  disabled: z.boolean().default(false),
+  // Key passed to getBaseUrl(), when the provider resolves its domain that way
+  baseUrlKey: z.string().min(1).optional(),
+  capabilities: z
+    .strictObject({
+      hasSearch: z.boolean(),
+      hasEpisodes: z.boolean(),
+    })
+    .partial()
+    .default({}),
+});
+
+/**
+ * Parsed provider.json of one provider folder. Throws with a readable
+ * message when the file is missing or invalid.
+ */
+function readProviderMeta(providersDir, provider) {
+  const metaPath = path.join(providersDir, provider, "provider.json");
+  if (!fs.existsSync(metaPath)) {
+    throw new Error("missing; every provider folder needs a provider.json");
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(metaPath, "utf8"));
+  } catch (error) {
+    throw new Error(`invalid JSON: ${error.message}`);
+  }
+  const result = ProviderMetaSchema.safeParse(raw);
+  if (!result.success) {
+    throw new Error(
+      result.error.issues
+        .map((issue) => `${issue.path.join(".") || "(root)"}: ${issue.message}`)
+        .join("; ")
+    );
+  }
+  return result.data;
+}
+
+function hasExport(source, name) {
+  return new RegExp(`export\\s+(const|let|async\\s+function|function)\\s+${name}\\b`).test(source);
+}
+
+/**
+ * Check a provider folder against its provider.json. Returns
+ * { meta, errors }, with errors as { file, message }; meta is null when
+ * provider.json is missing or invalid. Disabled providers are listed but
+ * never run, so their modules and exports aren't required.
+ */
+function checkProvider(providersDir, provider) {
+  const providerDir = path.join(providersDir, provider);
+  const errors = [];
+  const error = (file, message) => errors.push({ file: path.join("providers", provider, file), message });
+
+  let meta;
+  try {
+    meta = readProviderMeta(providersDir, provider);
+  } catch (metaError) {
+    error("provider.json", metaError.message);
+    return { meta: null, errors };
+  }
+
+  const sources = {};
+  for (const module of [...REQUIRED_MODULES, "episodes"]) {
+    const file = path.join(providerDir, `${module}.ts`);
+    if (fs.existsSync(file)) {
+      sources[module] = fs.readFileSync(file, "utf8");
+    } else if (REQUIRED_MODULES.includes(module) && !meta.disabled) {
+      error(`${module}.ts`, `Required module ${module}.ts is missing`);
+    }
+  }
+
+  const expectedExports = {
+    catalog: ["catalog"],
+    posts: ["getPosts"],
+    meta: ["getMeta"],
+    stream: ["getStream"],
+  };
+  for (const [module, names] of Object.entries(expectedExports)) {
+    for (const name of names) {
+      if (sources[module] !== undefined && !meta.disabled && !hasExport(sources[module], name)) {
+        error(`${module}.ts`, `${module}.ts does not export ${name}`);
+      }
+    }
+  }
+
+  const { hasSearch, hasEpisodes } = meta.capabilities;
+  const searches = sources.posts !== undefined && hasExport(sources.posts, "getSearchPosts");
+  if (hasSearch !== undefined && hasSearch !== searches) {
+    error(
+      "provider.json",
+      hasSearch ? "hasSearch is set but posts.ts does not export getSearchPosts" : "hasSearch is false but posts.ts exports getSearchPosts"
+    );
+  }
+  const episodes = sources.episodes !== undefined && hasExport(sources.episodes, "getEpisodes");
+  if (hasEpisodes !== undefined && hasEpisodes !== episodes) {
+    error(
+      "provider.json",
+      hasEpisodes ? "hasEpisodes is set but there is no episodes.ts exporting getEpisodes" : "hasEpisodes is false but episodes.ts exports getEpisodes"
+    );
+  }
+
+  if (meta.baseUrlKey) {
+    const usesKey = Object.values(sources).some((source) =>
+      new RegExp(`getBaseUrl\\(\\s*["'\`]${meta.baseUrlKey}["'\`]`).test(source)
+    );
+    if (!usesKey) {
+      error("provider.json", `baseUrlKey "${meta.baseUrlKey}" is never passed to getBaseUrl()`);
+    }
+  }
+
+  return { meta, errors };
+}
+
+// "1.9" -> "1.10"
+function bumpVersion(version) {
+  const parts = String(version || "1.0").split(".");
+  const last = parseInt(parts[parts.length - 1], 10);
+  parts[parts.length - 1] = String(Number.isNaN(last) ? 1 : last + 1);
+  return parts.join(".");
+}
+
+function sameFiles(a, b) {
+  const digest = (files) =>
+    JSON.stringify(Object.entries(files).sort(([x], [y]) => x.localeCompare(y)).map(([file, { sha256 }]) => [file, sha256]));
+  return digest(a) === digest(b);
+}
+
+/**
+ * Generate the manifest entries from every provider.json. Entries keep the
+ * order of `previous` (the current manifest), new providers are appended.
+ * A provider's `version` is bumped when its compiled files hash differently
+ * than in `previous`; a provider without a build keeps its previous files.
+ * Resolves to { manifest, errors, bumped }.
+ */
+function generateManifest({ providersDir, distDir, providers, previous = [] }) {
+  const errors = [];
+  const bumped = [];
+  const entries = new Map();
+
+  for (const provider of providers) {
+    const checked = checkProvider(providersDir, provider);
+    errors.push(...checked.errors);
+    if (!checked.meta) continue;
+
+    const { display_name, type, icon, disabled } = checked.meta;
+    const before = previous.find((entry) => entry.value === provider);
+    const files = bundleFiles(distDir, provider) || before?.files;
+
+    let version = before?.version || "1.0";
+    if (before?.files && files && !sameFiles(before.files, files)) {
+      version = bumpVersion(version);
+      bumped.push(`${provider} ${before.version} → ${version}`);
+    }
+
+    entries.set(provider, {
+      display_name,
+      value: provider,
+      version,
+      icon,
+      type,
+      disabled,
+      ...(files ? { files } : {}),
+    });
+  }
+
+  const order = previous.map((entry) => entry.value).filter((value) => entries.has(value));
+  const added = [...entries.keys()].filter((value) => !order.includes(value)).sort();
+  const manifest = [...order, ...added].map((value) => entries.get(value));
+  return { manifest, errors, bumped };
+}
+
+module.exports = {
+  REGIONS,
+  REQUIRED_MODULES,
+  ProviderMetaSchema,
+  readProviderMeta,
+  checkProvider,
+  bumpVersion,
+  generateManifest,
+};
@@ -0,0 +1,129 @@
+const fs = require("fs");
+const path = require("path");
+
+// Compiled module that exports each provider function
+const FUNCTION_MODULES = {
+  getPosts: "posts",
+  getSearchPosts: "posts",
+  getMeta: "meta",
+  getEpisodes: "episodes",
+  getStream: "stream",
+};
+
+// Pseudo provider whose only function, "resolve", runs a link through the
+// extractor registry (GET /resolve)
+const EXTRACTORS = "extractors";
+
+/**
+ * Require a provider function from dist/, dropping any cached copy of its
+ * module first so rebuilt code is picked up. Errors thrown here carry
+ * `loadError: true`: the provider itself never ran.
+ */
+function loadProviderFunction(distDir, provider, functionName) {
+  const modulePath = path.join(distDir, provider, `${FUNCTION_MODULES[functionName]}.js`);
+
+  let module;
+  try {
+    delete require.cache[require.resolve(modulePath)];
+    module = require(modulePath);
+  } catch (importError) {
+    console.error(`Import error for ${provider}/${functionName}:`, importError.message);
+    const error = new Error(`Provider function not found: ${provider}/${functionName}`);
+    error.code = "NOT_FOUND";
+    error.loadError = true;
+    throw error;
+  }
+
+  if (typeof module[functionName] !== "function") {
+    const error = new Error(`Function not exported: ${functionName} from ${provider}`);
+    error.code = "UNSUPPORTED";
+    error.loadError = true;
+    throw error;
+  }
+  return module[functionName];
+}
+
+function loadResolver(distDir) {
+  const { extractorRegistry } = require(path.join(distDir, "extractorRegistry"));
+  return ({ url, signal }) => extractorRegistry.resolve(url, signal);
+}
+
+/**
+ * Run a provider function with the compiled providerContext, the way the
+ * app does: providers throw typed errors instead of returning empty
+ * results, and their outbound requests are tagged with the call's scope.
+ * Used by the sandbox workers, and in-process when the sandbox is off.
+ */
+async function runProviderFunction(distDir, provider, functionName, params, signal) {
+  const providerFunction =
+    provider === EXTRACTORS
+      ? loadResolver(distDir)
+      : loadProviderFunction(distDir, provider, functionName);
+  const { providerContext } = require(path.join(distDir, "providerContext"));
+  require(path.join(distDir, "providerErrors")).setThrowOnFailure(true);
+  const { runInProviderScope } = require(path.join(distDir, "httpInterceptors"));
+
+  return runInProviderScope({ provider, functionName }, () =>
+    providerFunction({
+      ...params,
+      providerValue: provider,
+      signal,
+      providerContext,
+    })
+  );
+}
+
+/**
+ * Load a provider's compiled catalog module (dist/<provider>/catalog.js)
+ * and return the ProviderType settings it exports. Throws a 404 error when
+ * the provider has no catalog module.
+ */
+function loadCatalog(distDir, provider) {
+  const modulePath = path.join(distDir, provider, "catalog.js");
+
+  if (!fs.existsSync(modulePath)) {
+    const error = new Error(`No catalog module for provider: ${provider}`);
+    error.code = "NOT_FOUND";
+    error.status = 404;
+    error.hint = "Make sure the provider has a catalog.ts and run build first";
+    error.loadError = true;
+    throw error;
+  }
+
+  delete require.cache[require.resolve(modulePath)];
+  const module = require(modulePath);
+
+  return {
+    catalog: module.catalog || [],
+    genres: module.genres || [],
+    searchFilter: module.searchFilter,
+    blurImage: module.blurImage,
+    nonStreamableServer: module.nonStreamableServer,
+    nonDownloadableServer: module.nonDownloadableServer,
+  };
+}
+
+/**
+ * Drop every cached module whose path starts with `prefix` (a provider's
+ * dist directory, or all of dist/ after a shared module changed), so the
+ * next require loads the rebuilt code.
+ */
+function invalidateModules(prefix) {
+  let count = 0;
+  for (const modulePath of Object.keys(require.cache)) {
+    if (modulePath.startsWith(prefix)) {
+      delete require.cache[modulePath];
+      count++;
+    }
+  }
+  return count;
+}
+
+module.exports = {
+  FUNCTION_MODULES,
+  EXTRACTORS,
+  loadProviderFunction,
+  runProviderFunction,
+  loadCatalog,
+  invalidateModules,
+};
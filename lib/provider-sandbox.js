@@ -0,0 +1,242 @@
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+// How often the CPU watchdog samples each worker's event loop (ms)
+const WATCHDOG_INTERVAL = 250;
+// Above this event-loop utilisation a sample counts as busy
+const BUSY_UTILIZATION = 0.95;
+
+function workerError(message, code = "UNKNOWN") {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function deserializeError(serialized) {
+  const error = new Error(serialized.message);
+  Object.assign(error, serialized);
+  return error;
+}
+
+/**
+ * One worker thread plus the calls it is running. The worker is replaced
+ * by the pool when it exits.
+ */
+class SandboxWorker {
+  constructor(pool, index) {
+    this.pool = pool;
+    this.index = index;
+    this.pending = new Map();
+    this.busyFor = 0;
+    this.exitReason = null;
+
+    this.worker = new Worker(path.join(__dirname, "provider-worker.js"), {
+      workerData: { distDir: pool.distDir },
+      resourceLimits: { maxOldGenerationSizeMb: pool.memoryLimit },
+    });
+    this.worker.on("message", (message) => this.onMessage(message));
+    this.worker.on("error", (error) => {
+      this.exitReason =
+        error.code === "ERR_WORKER_OUT_OF_MEMORY"
+          ? `out of memory (limit ${pool.memoryLimit} MB)`
+          : error.message;
+    });
+    this.worker.on("exit", (code) => this.onExit(code));
+
+    this.lastUsage = this.worker.performance.eventLoopUtilization();
+    this.watchdog = setInterval(() => this.checkCpu(), WATCHDOG_INTERVAL);
+    this.watchdog.unref();
+  }
+
+  send(message) {
+    return new Promise((resolve, reject) => {
+      this.pending.set(message.id, { resolve, reject });
+      this.worker.postMessage(message);
+    });
+  }
+
+  /**
+   * Give up on a call: reject it now and ask the worker to abort it. A
+   * provider that ignores its signal may never answer, so the call is not
+   * kept until it does.
+   */
+  cancel(id, reason) {
+    const call = this.pending.get(id);
+    if (!call) return;
+    this.pending.delete(id);
+    this.worker.postMessage({ type: "abort", id });
+    call.reject(reason || workerError("Call aborted by the dev server", "CANCELLED"));
+  }
+
+  onMessage(message) {
+    if (message.type === "upstream") {
+      this.pool.onUpstream(message.sample);
+      return;
+    }
+
+    const call = this.pending.get(message.id);
+    if (!call) return;
+    this.pending.delete(message.id);
+    if (message.ok) {
+      call.resolve(message.data);
+    } else {
+      call.reject(deserializeError(message.error));
+    }
+  }
+
+  // A worker whose event loop stays saturated is stuck in synchronous code
+  // (e.g. an endless loop); abort messages can't reach it, so terminate it
+  checkCpu() {
+    const usage = this.worker.performance.eventLoopUtilization();
+    const { utilization } = this.worker.performance.eventLoopUtilization(usage, this.lastUsage);
+    this.lastUsage = usage;
+
+    this.busyFor = utilization > BUSY_UTILIZATION ? this.busyFor + WATCHDOG_INTERVAL : 0;
+    if (this.busyFor >= this.pool.cpuLimit) {
+      this.terminate(`CPU limit exceeded (busy for ${this.busyFor}ms)`);
+    }
+  }
+
+  terminate(reason) {
+    this.exitReason = this.exitReason || reason;
+    this.worker.terminate();
+  }
+
+  onExit(code) {
+    clearInterval(this.watchdog);
+    const reason = this.exitReason || `exited with code ${code}`;
+    for (const call of this.pending.values()) {
+      call.reject(workerError(`Provider worker crashed: ${reason}`));
+    }
+    this.pending.clear();
+    this.pool.onExit(this, reason);
+  }
+}
+
+/**
+ * Runs provider calls in a pool of worker threads with memory and CPU
+ * limits, so a provider that crashes, hangs or leaks only takes its worker
+ * down. Calls for one provider always go to the same worker, which keeps
+ * its per-host rate limits and caches in one place.
+ */
+class ProviderSandbox {
+  constructor({ distDir, size = 2, memoryLimit = 256, cpuLimit = 10000, onUpstream = () => {} }) {
+    this.distDir = distDir;
+    this.size = size;
+    this.memoryLimit = memoryLimit;
+    this.cpuLimit = cpuLimit;
+    this.onUpstream = onUpstream;
+    this.workers = new Array(size).fill(null);
+    this.nextId = 1;
+    this.restarts = 0;
+  }
+
+  workerAt(index) {
+    if (!this.workers[index]) {
+      this.workers[index] = new SandboxWorker(this, index);
+    }
+    return this.workers[index];
+  }
+
+  workerFor(provider) {
+    let hash = 0;
+    for (const char of provider) {
+      hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return this.workerAt(hash % this.size);
+  }
+
+  onExit(worker, reason) {
+    if (this.workers[worker.index] === worker) {
+      // Replaced lazily on the next call
+      this.workers[worker.index] = null;
+    }
+    if (!worker.closing) {
+      this.restarts++;
+      console.error(`⚠️  Provider worker ${worker.index} recycled: ${reason}`);
+    }
+  }
+
+  /**
+   * Run a provider function in its worker. Aborting `signal`, before or
+   * during the call, rejects it and asks the worker to abort the call's
+   * own signal.
+   */
+  run(provider, functionName, params, signal) {
+    const worker = this.workerFor(provider);
+    const id = this.nextId++;
+    const onAbort = () => worker.cancel(id, signal.reason);
+
+    const call = worker.send({ type: "call", id, provider, functionName, params });
+    if (signal?.aborted) {
+      onAbort();
+    } else {
+      signal?.addEventListener("abort", onAbort, { once: true });
+    }
+    return call.finally(() => signal?.removeEventListener("abort", onAbort));
+  }
+
+  /**
+   * Load a provider's catalog settings in the worker that runs its calls.
+   */
+  catalog(provider) {
+    return this.workerFor(provider).send({ type: "catalog", id: this.nextId++, provider });
+  }
+
+  /**
+   * Call `module.method(...args)` from dist/ in every running worker and
+   * return the results in worker order.
+   */
+  invokeAll(module, method, args = []) {
+    return Promise.all(
+      this.workers
+        .filter(Boolean)
+        .map((worker) => worker.send({ type: "invoke", id: this.nextId++, module, method, args }))
+    );
+  }
+
+  /**
+   * Have every running worker drop its cached modules under `prefix`.
+   */
+  invalidate(prefix) {
+    for (const worker of this.workers) {
+      if (worker) worker.worker.postMessage({ type: "invalidate", prefix });
+    }
+  }
+
+  getStats() {
+    return {
+      size: this.size,
+      memoryLimit: this.memoryLimit,
+      cpuLimit: this.cpuLimit,
+      restarts: this.restarts,
+      workers: this.workers.map((worker, index) =>
+        worker ? { index, threadId: worker.worker.threadId, pending: worker.pending.size } : { index, idle: true }
+      ),
+    };
+  }
+}
+
+/**
+ * Build the sandbox configured through the environment: SANDBOX=off,
+ * SANDBOX_WORKERS, SANDBOX_MEMORY_MB and SANDBOX_CPU_MS. Returns null when
+ * disabled, in which case providers run in the server process.
+ */
+function createProviderSandbox(distDir, { onUpstream } = {}) {
+  if (process.env.SANDBOX === "off") {
+    return null;
+  }
+
+  return new ProviderSandbox({
+    distDir,
+    size: parseInt(process.env.SANDBOX_WORKERS) || 2,
+    memoryLimit: parseInt(process.env.SANDBOX_MEMORY_MB) || 256,
+    cpuLimit: parseInt(process.env.SANDBOX_CPU_MS) || 10000,
+    onUpstream,
+  });
+}
+
+module.exports = {
+  ProviderSandbox,
+  createProviderSandbox,
+};
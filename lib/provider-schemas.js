@@ -0,0 +1,123 @@
+const { z } = require("zod");
+
+// Zod versions of the provider return types in providers/types.ts. Keep the
+// two in sync when a type changes.
+
+const QUALITIES = ["360", "480", "720", "1080", "2160"];
+
+const SUBTITLE_TYPES = ["application/x-subrip", "application/ttml+xml", "text/vtt"];
+
+// Stream.type values the app knows how to play or download
+const STREAM_TYPES = ["m3u8", "mp4", "mkv", "webm", "mpd", "avi", "mov", "ts", "flv"];
+
+const PostSchema = z.object({
+  title: z.string().min(1, "Title cannot be empty"),
+  link: z.string().url("Link must be a valid URL"),
+  image: z.string().url("Image must be a valid URL"),
+  provider: z.string().optional(),
+});
+
+const TextTracksSchema = z.array(
+  z.object({
+    title: z.string(),
+    language: z.string(),
+    type: z.enum(SUBTITLE_TYPES, {
+      message: `Subtitle type must be one of: ${SUBTITLE_TYPES.join(", ")}`,
+    }),
+    uri: z.string().url("Subtitle uri must be a valid URL"),
+  })
+);
+
+const StreamSchema = z.object({
+  server: z.string().min(1, "Server name cannot be empty"),
+  link: z.string().url("Stream link must be a valid URL"),
+  type: z.enum(STREAM_TYPES, {
+    message: `Stream type must be one of: ${STREAM_TYPES.join(", ")}`,
+  }),
+  quality: z
+    .enum(QUALITIES, { message: `Quality must be one of: ${QUALITIES.join(", ")}` })
+    .optional(),
+  subtitles: TextTracksSchema.optional(),
+  headers: z.any().optional(),
+});
+
+const LinkSchema = z.object({
+  title: z.string().min(1, "Link title cannot be empty"),
+  quality: z.string().optional(),
+  episodesLink: z.string().optional(),
+  directLinks: z
+    .array(
+      z.object({
+        title: z.string().min(1, "Direct link title cannot be empty"),
+        link: z.string().url("Direct link must be a valid URL"),
+        type: z.enum(["movie", "series"]).optional(),
+      })
+    )
+    .optional(),
+});
+
+const InfoSchema = z.object({
+  title: z.string().min(1, "Title cannot be empty"),
+  image: z.string().url("Image must be a valid URL"),
+  synopsis: z.string(),
+  imdbId: z.string(),
+  type: z.string().min(1, "Type cannot be empty"),
+  tags: z.array(z.string()).optional(),
+  cast: z.array(z.string()).optional(),
+  rating: z.string().optional(),
+  linkList: z.array(LinkSchema),
+});
+
+const EpisodeLinkSchema = z.object({
+  title: z.string().min(1, "Episode title cannot be empty"),
+  link: z.string().min(1, "Episode link cannot be empty"),
+});
+
+// Response schemas for each function
+const responseSchemas = {
+  getPosts: z.array(PostSchema),
+  getSearchPosts: z.array(PostSchema),
+  getMeta: InfoSchema,
+  getEpisodes: z.array(EpisodeLinkSchema),
+  getStream: z.array(StreamSchema),
+  // GET /resolve
+  resolve: z.array(StreamSchema),
+};
+
+/**
+ * Check a provider function's result against its contract. Returns the
+ * violations as `{ path, message, code }`, e.g. `{ path: "3.title",
+ * message: "Title cannot be empty" }`; an empty list means the result is
+ * valid.
+ */
+function validateResult(functionName, result) {
+  const schema = responseSchemas[functionName];
+  if (!schema) {
+    return [];
+  }
+
+  const parsed = schema.safeParse(result);
+  if (parsed.success) {
+    return [];
+  }
+
+  return parsed.error.issues.map((issue) => ({
+    path: issue.path.join("."),
+    message: issue.message,
+    code: issue.code,
+  }));
+}
+
+module.exports = {
+  QUALITIES,
+  SUBTITLE_TYPES,
+  STREAM_TYPES,
+  PostSchema,
+  StreamSchema,
+  TextTracksSchema,
+  LinkSchema,
+  InfoSchema,
+  EpisodeLinkSchema,
+  responseSchemas,
+  validateResult,
+};
@@ -0,0 +1,117 @@
+// Worker thread entry for the provider sandbox (lib/provider-sandbox.js).
+// Runs provider calls sent by the pool and posts back plain results or
+// serialised errors.
+
+const path = require("path");
+const { parentPort, workerData } = require("worker_threads");
+const { runProviderFunction, loadCatalog, invalidateModules } = require("./provider-runner");
+const { upstreamInterceptor } = require("./metrics");
+
+const { distDir } = workerData;
+const controllers = new Map();
+
+function distModule(name) {
+  return require(path.join(distDir, name));
+}
+
+// Upstream requests happen in this thread, so report them to the pool's
+// metrics instead of recording them here
+function installMetrics() {
+  distModule("httpInterceptors").useInterceptor(
+    "metrics",
+    upstreamInterceptor((sample) => parentPort.postMessage({ type: "upstream", sample }))
+  );
+}
+
+function serializeError(error) {
+  let providerError = error;
+  if (!error.loadError) {
+    try {
+      providerError = distModule("providerErrors").toProviderError(error);
+    } catch (classifyError) {
+      // No build yet; send the error as it is
+    }
+  }
+  return {
+    name: providerError.name,
+    message: providerError.message || String(error),
+    code: providerError.code,
+    status: providerError.status,
+    upstreamStatus: providerError.upstreamStatus,
+    url: providerError.url,
+    hint: providerError.hint,
+    loadError: providerError.loadError,
+    stack: providerError.stack,
+  };
+}
+
+async function call({ id, provider, functionName, params }) {
+  const controller = new AbortController();
+  controllers.set(id, controller);
+  try {
+    installMetrics();
+    const data = await runProviderFunction(distDir, provider, functionName, params, controller.signal);
+    try {
+      parentPort.postMessage({ type: "result", id, ok: true, data });
+    } catch (cloneError) {
+      // Results should be plain data; drop anything that can't be cloned
+      parentPort.postMessage({ type: "result", id, ok: true, data: JSON.parse(JSON.stringify(data)) });
+    }
+  } catch (error) {
+    parentPort.postMessage({ type: "result", id, ok: false, error: serializeError(error) });
+  } finally {
+    controllers.delete(id);
+  }
+}
+
+/**
+ * Call an export of a shared dist module (e.g. httpScheduler.schedulerStats)
+ * in this thread, for status pages and cache invalidation.
+ */
+async function invoke({ id, module, method, args = [] }) {
+  try {
+    const data = await distModule(module)[method](...args);
+    parentPort.postMessage({ type: "result", id, ok: true, data });
+  } catch (error) {
+    parentPort.postMessage({ type: "result", id, ok: false, error: serializeError(error) });
+  }
+}
+
+/**
+ * Load a provider's catalog settings in this thread.
+ */
+function catalog({ id, provider }) {
+  try {
+    parentPort.postMessage({ type: "result", id, ok: true, data: loadCatalog(distDir, provider) });
+  } catch (error) {
+    parentPort.postMessage({ type: "result", id, ok: false, error: serializeError(error) });
+  }
+}
+
+parentPort.on("message", (message) => {
+  switch (message.type) {
+    case "call":
+      call(message);
+      break;
+    case "abort":
+      controllers.get(message.id)?.abort(new Error("Call aborted by the dev server"));
+      // The pool has stopped waiting; don't keep a call that never settles
+      controllers.delete(message.id);
+      break;
+    case "invoke":
+      invoke(message);
+      break;
+    case "catalog":
+      catalog(message);
+      break;
+    case "invalidate":
+      invalidateModules(message.prefix);
+      break;
+  }
+});
+
+// A stray rejection inside a provider shouldn't take down every other call
+// running in this worker
+process.on("unhandledRejection", (reason) => {
+  console.error("Unhandled rejection in provider worker:", reason);
+});
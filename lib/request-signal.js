@@ -0,0 +1,17 @@
+/**
+ * Return a signal that aborts when the client goes away before the
+ * response has been sent.
+ */
+function requestSignal(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      const error = new Error("Client disconnected");
+      error.code = "CANCELLED";
+      controller.abort(error);
+    }
+  });
+  return controller.signal;
+}
+
+module.exports = { requestSignal };
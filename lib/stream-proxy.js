@@ -0,0 +1,177 @@
+const { Readable } = require("stream");
+const { publicDispatcher, isBlockedError } = require("./upstream-guard");
+
+// Response headers passed through from the upstream for media requests
+const PASSTHROUGH_HEADERS = [
+  "content-type",
+  "content-length",
+  "content-range",
+  "accept-ranges",
+  "last-modified",
+  "etag",
+];
+
+// Request headers a player may send that the upstream should see
+const FORWARDED_HEADERS = ["range", "if-range", "accept"];
+
+/**
+ * Pack Stream.headers into a URL-safe query value.
+ */
+function encodeHeaders(headers) {
+  return Buffer.from(JSON.stringify(headers)).toString("base64url");
+}
+
+function decodeHeaders(value) {
+  if (!value) return {};
+  return JSON.parse(Buffer.from(value, "base64url").toString("utf8"));
+}
+
+/**
+ * Build a /proxy URL on this server for an upstream URL and the headers it
+ * needs.
+ */
+function buildProxyUrl(serverUrl, url, headers) {
+  const query = new URLSearchParams({ url });
+  if (headers && Object.keys(headers).length > 0) {
+    query.set("h", encodeHeaders(headers));
+  }
+  return `${serverUrl}/proxy?${query}`;
+}
+
+function isPlaylist(url, contentType) {
+  return /mpegurl/i.test(contentType) || /\.m3u8?$/i.test(new URL(url).pathname);
+}
+
+/**
+ * Rewrite every URI in an HLS playlist (variants, segments, and the URI
+ * attributes of EXT-X-KEY, EXT-X-MAP, EXT-X-MEDIA, ...) to go through the
+ * proxy with the same upstream headers.
+ */
+function rewritePlaylist(playlist, playlistUrl, toProxyUrl) {
+  const absolute = (uri) => new URL(uri, playlistUrl).toString();
+
+  return playlist
+    .split(/\r?\n/)
+    .map((line) => {
+      const trimmed = line.trim();
+      if (!trimmed) {
+        return line;
+      }
+      if (trimmed.startsWith("#")) {
+        return line.replace(
+          /URI="([^"]+)"/g,
+          (match, uri) => `URI="${toProxyUrl(absolute(uri))}"`
+        );
+      }
+      return toProxyUrl(absolute(trimmed));
+    })
+    .join("\n");
+}
+
+/**
+ * Express handler for GET /proxy?url=&h=. Fetches the upstream with the
+ * decoded headers, forwards Range requests, and rewrites m3u8 playlists so
+ * nested requests come back through the proxy. Only public addresses are
+ * reached (lib/upstream-guard.js); others answer 403.
+ */
+async function handleProxyRequest(req, res) {
+  const { url, h } = req.query;
+
+  let target;
+  let upstreamHeaders;
+  try {
+    target = new URL(url);
+    upstreamHeaders = decodeHeaders(h);
+  } catch (error) {
+    return res.status(400).json({ error: "A valid url parameter is required" });
+  }
+  if (target.protocol !== "http:" && target.protocol !== "https:") {
+    return res.status(400).json({ error: "Only http(s) URLs can be proxied" });
+  }
+
+  const headers = { ...upstreamHeaders };
+  for (const name of FORWARDED_HEADERS) {
+    if (req.headers[name]) {
+      headers[name] = req.headers[name];
+    }
+  }
+
+  const controller = new AbortController();
+  res.on("close", () => controller.abort());
+
+  let upstream;
+  try {
+    upstream = await fetch(target, {
+      headers,
+      redirect: "follow",
+      signal: controller.signal,
+      dispatcher: publicDispatcher,
+    });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    if (isBlockedError(error)) {
+      return res.status(403).json({ error: error.cause?.message || error.message });
+    }
+    console.error("Proxy fetch error:", error.message);
+    return res.status(502).json({ error: `Upstream request failed: ${error.message}` });
+  }
+
+  const contentType = upstream.headers.get("content-type") || "";
+  const finalUrl = upstream.url || target.toString();
+
+  if (upstream.ok && isPlaylist(finalUrl, contentType)) {
+    const serverUrl = `${req.protocol}://${req.get("host")}`;
+    let playlist;
+    try {
+      playlist = rewritePlaylist(await upstream.text(), finalUrl, (uri) =>
+        buildProxyUrl(serverUrl, uri, upstreamHeaders)
+      );
+    } catch (error) {
+      // The client went away while the playlist was being read
+      if (controller.signal.aborted) return;
+      console.error("Proxy playlist error:", error.message);
+      return res.status(502).json({ error: `Upstream request failed: ${error.message}` });
+    }
+    res.status(upstream.status);
+    res.set("Content-Type", "application/vnd.apple.mpegurl");
+    res.set("Cache-Control", "no-cache");
+    return res.send(playlist);
+  }
+
+  res.status(upstream.status);
+  for (const name of PASSTHROUGH_HEADERS) {
+    const value = upstream.headers.get(name);
+    // fetch already decoded the body, so the upstream length may be wrong
+    if (value && !(name === "content-length" && upstream.headers.get("content-encoding"))) {
+      res.set(name, value);
+    }
+  }
+
+  if (!upstream.body) {
+    return res.end();
+  }
+  Readable.fromWeb(upstream.body)
+    .on("error", () => res.destroy())
+    .pipe(res);
+}
+
+/**
+ * Point every stream at the proxy, carrying its headers in the proxy URL.
+ */
+function proxyStreams(streams, serverUrl) {
+  if (!Array.isArray(streams)) return streams;
+  return streams.map((stream) => ({
+    ...stream,
+    link: buildProxyUrl(serverUrl, stream.link, stream.headers),
+    headers: undefined,
+  }));
+}
+
+module.exports = {
+  buildProxyUrl,
+  encodeHeaders,
+  decodeHeaders,
+  rewritePlaylist,
+  handleProxyRequest,
+  proxyStreams,
+};
@@ -0,0 +1,369 @@
+const cheerio = require("cheerio");
+const { encodeHeaders, decodeHeaders } = require("./stream-proxy");
+const { publicDispatcher, isBlockedError } = require("./upstream-guard");
+const { requestSignal } = require("./request-signal");
+
+// Limits for fetching a subtitle track
+const FETCH_TIMEOUT = 20000;
+const MAX_BYTES = 10 * 1024 * 1024;
+
+// ISO 639-1 code -> [English name, native names..., ISO 639-2/3 codes...]
+const LANGUAGES = {
+  ar: ["arabic", "العربية", "ara"],
+  bg: ["bulgarian", "български", "bul"],
+  bn: ["bengali", "bangla", "বাংলা", "ben"],
+  cs: ["czech", "čeština", "ces", "cze"],
+  da: ["danish", "dansk", "dan"],
+  de: ["german", "deutsch", "deu", "ger"],
+  el: ["greek", "ελληνικά", "ell", "gre"],
+  en: ["english", "eng"],
+  es: ["spanish", "español", "castellano", "spa"],
+  et: ["estonian", "eesti", "est"],
+  fa: ["persian", "farsi", "فارسی", "fas", "per"],
+  fi: ["finnish", "suomi", "fin"],
+  fil: ["filipino", "tagalog", "tgl"],
+  fr: ["french", "français", "fra", "fre"],
+  gu: ["gujarati", "ગુજરાતી", "guj"],
+  he: ["hebrew", "עברית", "heb"],
+  hi: ["hindi", "हिन्दी", "हिंदी", "hin"],
+  hr: ["croatian", "hrvatski", "hrv"],
+  hu: ["hungarian", "magyar", "hun"],
+  id: ["indonesian", "bahasa indonesia", "ind"],
+  it: ["italian", "italiano", "ita"],
+  ja: ["japanese", "日本語", "jpn"],
+  kn: ["kannada", "ಕನ್ನಡ", "kan"],
+  ko: ["korean", "한국어", "kor"],
+  lt: ["lithuanian", "lietuvių", "lit"],
+  lv: ["latvian", "latviešu", "lav"],
+  ml: ["malayalam", "മലയാളം", "mal"],
+  mr: ["marathi", "मराठी", "mar"],
+  ms: ["malay", "bahasa melayu", "msa", "may"],
+  nl: ["dutch", "nederlands", "nld", "dut"],
+  no: ["norwegian", "norsk", "nor", "nob"],
+  pa: ["punjabi", "ਪੰਜਾਬੀ", "pan"],
+  pl: ["polish", "polski", "pol"],
+  pt: ["portuguese", "português", "portugues", "por"],
+  ro: ["romanian", "română", "ron", "rum"],
+  ru: ["russian", "русский", "rus"],
+  sk: ["slovak", "slovenčina", "slk", "slo"],
+  sl: ["slovenian", "slovenščina", "slv"],
+  sr: ["serbian", "српски", "srpski", "srp"],
+  sv: ["swedish", "svenska", "swe"],
+  ta: ["tamil", "தமிழ்", "tam"],
+  te: ["telugu", "తెలుగు", "tel"],
+  th: ["thai", "ไทย", "tha"],
+  tr: ["turkish", "türkçe", "tur"],
+  uk: ["ukrainian", "українська", "ukr"],
+  ur: ["urdu", "اردو", "urd"],
+  vi: ["vietnamese", "tiếng việt", "vie"],
+  zh: ["chinese", "中文", "mandarin", "cantonese", "zho", "chi"],
+};
+
+const CODE_LOOKUP = new Map();
+const NAME_LOOKUP = [];
+for (const [code, aliases] of Object.entries(LANGUAGES)) {
+  CODE_LOOKUP.set(code, code);
+  for (const alias of aliases) {
+    if (/^[a-z]{3}$/.test(alias)) {
+      CODE_LOOKUP.set(alias, code);
+    } else {
+      NAME_LOOKUP.push([alias, code]);
+    }
+  }
+}
+
+function lookupCode(value) {
+  // "en", "EN", "en-US", "pt_BR", "eng"
+  const match = String(value).trim().toLowerCase().match(/^([a-z]{2,3})(?:[-_][a-z0-9]+)*$/);
+  return match ? CODE_LOOKUP.get(match[1]) : undefined;
+}
+
+function lookupName(value) {
+  const text = String(value).trim().toLowerCase();
+  const found = NAME_LOOKUP.find(([name]) => text.includes(name));
+  return found ? found[1] : undefined;
+}
+
+/**
+ * Map a subtitle's language field and/or label to an ISO 639 code. Handles
+ * codes ("en", "eng", "en-US") and names ("English - SDH", "Português").
+ * A bare two-letter language is often a truncated name rather than a code
+ * (hiAnime sends "Es" for Estonian, "Ta" for Tagalog), so a label naming a
+ * language wins over it. Returns "und" if unknown.
+ */
+function normalizeLanguage(language, label) {
+  const labelName = label && lookupName(label);
+  if (labelName && /^[a-z]{2}$/i.test(String(language).trim())) {
+    return labelName;
+  }
+  return (
+    (language && lookupCode(language)) ||
+    labelName ||
+    (label && lookupCode(label)) ||
+    (language && lookupName(language)) ||
+    "und"
+  );
+}
+
+/**
+ * Decode subtitle bytes to a string. Honours UTF-8/UTF-16 byte order marks,
+ * and falls back to Windows-1252 when the file is not valid UTF-8 (common
+ * for older SRT uploads).
+ */
+function decodeSubtitle(buffer) {
+  const bytes = Buffer.from(buffer);
+  let text;
+
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    text = new TextDecoder("utf-16le").decode(bytes.subarray(2));
+  } else if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    text = new TextDecoder("utf-16be").decode(bytes.subarray(2));
+  } else {
+    try {
+      text = new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+    } catch (error) {
+      text = new TextDecoder("windows-1252").decode(bytes);
+    }
+  }
+
+  return text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+}
+
+/**
+ * Work out whether a subtitle file is WebVTT, SRT or TTML.
+ */
+function detectFormat(text, contentType = "", uri = "") {
+  const head = text.trimStart().slice(0, 512);
+  if (head.startsWith("WEBVTT")) return "vtt";
+  if (/^<\?xml|<tt[\s>]/.test(head) || /ttml|dfxp/i.test(contentType)) return "ttml";
+  if (/\d{1,2}:\d{2}:\d{2}[,.]\d{1,3}\s*-->/.test(head)) return "srt";
+  if (/\.vtt($|\?)/i.test(uri)) return "vtt";
+  if (/\.(ttml|dfxp|xml)($|\?)/i.test(uri)) return "ttml";
+  return "srt";
+}
+
+function formatTimestamp(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  return (
+    `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:` +
+    `${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`
+  );
+}
+
+/**
+ * Convert SRT to WebVTT: add the header and fix timestamp separators.
+ */
+function srtToVtt(text) {
+  const body = text
+    .trim()
+    .replace(
+      /(\d{1,2}):(\d{2}):(\d{2})[,.](\d{1,3})/g,
+      (match, h, m, s, ms) => `${h.padStart(2, "0")}:${m}:${s}.${ms.padEnd(3, "0")}`
+    )
+    // Strip SSA-style position tags some SRT files carry
+    .replace(/\{\\[^}]*\}/g, "");
+  return `WEBVTT\n\n${body}\n`;
+}
+
+/**
+ * Parse a TTML time expression into seconds: "00:00:01.500", "00:00:01:12"
+ * (frames), "1.5s", "1500ms", "90000t" (ticks).
+ */
+function parseTtmlTime(value, { frameRate = 30, tickRate = 10000000 } = {}) {
+  if (!value) return undefined;
+  const clock = value.match(/^(\d+):(\d{2}):(\d{2})(?:\.(\d+)|:(\d+))?$/);
+  if (clock) {
+    const [, h, m, s, fraction, frames] = clock;
+    return (
+      Number(h) * 3600 +
+      Number(m) * 60 +
+      Number(s) +
+      (fraction ? Number(`0.${fraction}`) : 0) +
+      (frames ? Number(frames) / frameRate : 0)
+    );
+  }
+
+  const offset = value.match(/^([\d.]+)(h|m|s|ms|f|t)$/);
+  if (offset) {
+    const amount = Number(offset[1]);
+    const unit = offset[2];
+    return {
+      h: amount * 3600,
+      m: amount * 60,
+      s: amount,
+      ms: amount / 1000,
+      f: amount / frameRate,
+      t: amount / tickRate,
+    }[unit];
+  }
+  return undefined;
+}
+
+/**
+ * Convert TTML/DFXP to WebVTT. Only timing and text survive; styling is
+ * dropped.
+ */
+function ttmlToVtt(text) {
+  const $ = cheerio.load(text, { xmlMode: true });
+  const root = $("tt").first();
+  const rates = {
+    frameRate: Number(root.attr("ttp:frameRate")) || 30,
+    tickRate: Number(root.attr("ttp:tickRate")) || 10000000,
+  };
+
+  const cues = [];
+  $("p").each((_, element) => {
+    const p = $(element);
+    const begin = parseTtmlTime(p.attr("begin"), rates);
+    const end =
+      parseTtmlTime(p.attr("end"), rates) ??
+      (begin !== undefined ? begin + (parseTtmlTime(p.attr("dur"), rates) || 0) : undefined);
+    if (begin === undefined || end === undefined) return;
+
+    p.find("br").replaceWith("\n");
+    const cueText = p
+      .text()
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .join("\n");
+    if (cueText) {
+      cues.push(`${formatTimestamp(begin)} --> ${formatTimestamp(end)}\n${cueText}`);
+    }
+  });
+
+  return `WEBVTT\n\n${cues.join("\n\n")}\n`;
+}
+
+/**
+ * Convert decoded subtitle text in any supported format to WebVTT.
+ */
+function toVtt(text, format) {
+  if (format === "vtt") return text;
+  if (format === "ttml") return ttmlToVtt(text);
+  return srtToVtt(text);
+}
+
+/**
+ * The body of a fetch response, failing once it grows past `limit` bytes.
+ */
+async function readLimited(response, limit) {
+  const declared = Number(response.headers.get("content-length"));
+  if (declared > limit) {
+    throw new Error(`Subtitle file is larger than ${limit} bytes`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body || []) {
+    size += chunk.length;
+    if (size > limit) {
+      await response.body.cancel().catch(() => {});
+      throw new Error(`Subtitle file is larger than ${limit} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Express handler for GET /subtitles?uri=&format=vtt&h=&lang=. Fetches the
+ * track (with optional base64url JSON headers, as for /proxy) and serves it
+ * as UTF-8 WebVTT. Like /proxy it only reaches public addresses; the fetch
+ * is given FETCH_TIMEOUT ms and at most MAX_BYTES.
+ */
+async function handleSubtitleRequest(req, res) {
+  const { uri, format = "vtt", h, lang } = req.query;
+
+  if (format !== "vtt") {
+    return res.status(400).json({ error: `Unsupported subtitle format: ${format}` });
+  }
+
+  let target;
+  let headers;
+  try {
+    target = new URL(uri);
+    headers = decodeHeaders(h);
+  } catch (error) {
+    return res.status(400).json({ error: "A valid uri parameter is required" });
+  }
+  if (target.protocol !== "http:" && target.protocol !== "https:") {
+    return res.status(400).json({ error: "Only http(s) subtitle URLs are supported" });
+  }
+
+  const signal = AbortSignal.any([requestSignal(res), AbortSignal.timeout(FETCH_TIMEOUT)]);
+  try {
+    const upstream = await fetch(target, {
+      headers,
+      redirect: "follow",
+      signal,
+      dispatcher: publicDispatcher,
+    });
+    if (!upstream.ok) {
+      await upstream.body?.cancel().catch(() => {});
+      return res.status(502).json({ error: `Subtitle fetch failed with status ${upstream.status}` });
+    }
+
+    const text = decodeSubtitle(await readLimited(upstream, MAX_BYTES));
+    const sourceFormat = detectFormat(text, upstream.headers.get("content-type") || "", target.pathname);
+
+    res.set("Content-Type", "text/vtt; charset=utf-8");
+    res.set("Cache-Control", "public, max-age=3600");
+    if (lang) {
+      res.set("Content-Language", normalizeLanguage(lang));
+    }
+    res.send(toVtt(text, sourceFormat));
+  } catch (error) {
+    // The client went away
+    if (res.destroyed || res.writableEnded) return;
+    if (isBlockedError(error)) {
+      return res.status(403).json({ error: error.cause?.message || error.message });
+    }
+    if (error.name === "TimeoutError") {
+      return res.status(504).json({ error: `Subtitle fetch timed out after ${FETCH_TIMEOUT} ms` });
+    }
+    console.error("Subtitle error:", error.message);
+    res.status(502).json({ error: `Subtitle conversion failed: ${error.message}` });
+  }
+}
+
+/**
+ * Serve every subtitle track of the given streams through /subtitles as
+ * WebVTT with a normalised language code.
+ */
+function normalizeStreamSubtitles(streams, serverUrl) {
+  if (!Array.isArray(streams)) return streams;
+  return streams.map((stream) => {
+    if (!Array.isArray(stream.subtitles)) return stream;
+    return {
+      ...stream,
+      subtitles: stream.subtitles
+        .filter((track) => track && track.uri)
+        .map((track) => {
+          const language = normalizeLanguage(track.language, track.title);
+          const query = new URLSearchParams({ uri: track.uri, format: "vtt", lang: language });
+          if (stream.headers && Object.keys(stream.headers).length > 0) {
+            query.set("h", encodeHeaders(stream.headers));
+          }
+          return {
+            ...track,
+            language,
+            type: "text/vtt",
+            uri: `${serverUrl}/subtitles?${query}`,
+          };
+        }),
+    };
+  });
+}
+
+module.exports = {
+  normalizeLanguage,
+  decodeSubtitle,
+  detectFormat,
+  srtToVtt,
+  ttmlToVtt,
+  toVtt,
+  handleSubtitleRequest,
+  normalizeStreamSubtitles,
+};
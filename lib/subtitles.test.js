@@ -0,0 +1,22 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { normalizeLanguage } = require("./subtitles");
+
+test("normalizeLanguage reads codes and names", () => {
+  assert.strictEqual(normalizeLanguage("en"), "en");
+  assert.strictEqual(normalizeLanguage("pt-BR"), "pt");
+  assert.strictEqual(normalizeLanguage("eng"), "en");
+  assert.strictEqual(normalizeLanguage(undefined, "English - SDH"), "en");
+  assert.strictEqual(normalizeLanguage("Português"), "pt");
+  assert.strictEqual(normalizeLanguage("xx", "Forced"), "und");
+});
+
+test("normalizeLanguage prefers the label over a truncated name", () => {
+  // hiAnime: the first two letters of the name, the full name as title
+  assert.strictEqual(normalizeLanguage("Es", "Estonian"), "et");
+  assert.strictEqual(normalizeLanguage("Fi", "Filipino"), "fil");
+  assert.strictEqual(normalizeLanguage("Sl", "Slovak"), "sk");
+  assert.strictEqual(normalizeLanguage("Ta", "Tagalog"), "fil");
+  assert.strictEqual(normalizeLanguage("Po", "Portuguese - Brazilian"), "pt");
+  assert.strictEqual(normalizeLanguage("En", "Commentary"), "en");
+});
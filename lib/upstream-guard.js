@@ -0,0 +1,97 @@
+const dns = require("dns");
+const net = require("net");
+const { Agent, buildConnector } = require("undici");
+
+// /proxy and /subtitles fetch URLs their callers choose, so they may only
+// reach public addresses: not this machine, the LAN or cloud metadata
+// endpoints. The check runs when each connection is made, after DNS, so
+// redirects and names that resolve to private addresses are caught too.
+
+const BLOCKED = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  BLOCKED.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED.addSubnet(network, prefix, "ipv6");
+}
+
+function isPublicAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPublicAddress(mapped[1]);
+  const type = net.isIPv4(address) ? "ipv4" : "ipv6";
+  return !BLOCKED.check(address, type);
+}
+
+function blockedError(hostname) {
+  const error = new Error(`Upstream ${hostname} resolves to a private address`);
+  error.code = "ERR_PRIVATE_ADDRESS";
+  return error;
+}
+
+/**
+ * The address to connect to for `hostname`, rejecting with
+ * ERR_PRIVATE_ADDRESS when any address it resolves to is not public.
+ */
+async function resolvePublic(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true });
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw blockedError(host);
+  }
+  return addresses[0].address;
+}
+
+const connect = buildConnector({});
+
+/**
+ * undici dispatcher for `fetch` that only connects to public addresses.
+ */
+const publicDispatcher = new Agent({
+  connect(options, callback) {
+    resolvePublic(options.hostname).then(
+      (address) =>
+        connect(
+          {
+            ...options,
+            hostname: address,
+            servername: options.servername || (net.isIP(options.hostname) ? undefined : options.hostname),
+          },
+          callback
+        ),
+      (error) => callback(error, null)
+    );
+  },
+});
+
+/**
+ * Whether a failed fetch was refused by the guard.
+ */
+function isBlockedError(error) {
+  return error?.code === "ERR_PRIVATE_ADDRESS" || error?.cause?.code === "ERR_PRIVATE_ADDRESS";
+}
+
+module.exports = {
+  isPublicAddress,
+  resolvePublic,
+  publicDispatcher,
+  isBlockedError,
+};
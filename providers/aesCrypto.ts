@@ -0,0 +1,83 @@
+import crypto from "crypto";
+import { ProviderError } from "./providerErrors";
+import { AesAlgorithm, AesCrypto } from "./types";
+
+// Node version of react-native-aes-crypto, which the app passes as
+// providerContext.Aes. Same formats as the native module: keys, IVs, hashes
+// and random keys are hex strings, ciphertexts base64, text UTF-8.
+
+const ALGORITHMS: AesAlgorithm[] = [
+  "aes-128-cbc",
+  "aes-192-cbc",
+  "aes-256-cbc",
+  "aes-128-ctr",
+  "aes-192-ctr",
+  "aes-256-ctr",
+];
+
+function cipherKey(key: string, iv: string, algorithm: AesAlgorithm) {
+  // Anything else (e.g. GCM) would work here and then fail in the app
+  if (!ALGORITHMS.includes(algorithm)) {
+    throw new ProviderError("UNSUPPORTED", `${algorithm} is not available in the app's Aes module`);
+  }
+  const keyBytes = Buffer.from(key, "hex");
+  const bits = Number(algorithm.split("-")[1]);
+  if (keyBytes.length * 8 !== bits) {
+    throw new Error(`${algorithm} needs a ${bits / 4} character hex key, got ${key.length}`);
+  }
+  // The native module encrypts with a zero IV when none is given
+  const ivBytes = iv ? Buffer.from(iv, "hex") : Buffer.alloc(16);
+  return { keyBytes, ivBytes };
+}
+
+export const nodeAes: AesCrypto = {
+  async encrypt(text, key, iv, algorithm) {
+    const { keyBytes, ivBytes } = cipherKey(key, iv, algorithm);
+    const cipher = crypto.createCipheriv(algorithm, keyBytes, ivBytes);
+    return Buffer.concat([cipher.update(text, "utf8"), cipher.final()]).toString("base64");
+  },
+
+  async decrypt(ciphertext, key, iv, algorithm) {
+    const { keyBytes, ivBytes } = cipherKey(key, iv, algorithm);
+    const data = Buffer.from(ciphertext, "base64");
+    const decipher = crypto.createDecipheriv(algorithm, keyBytes, ivBytes);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+  },
+
+  pbkdf2Sync(password, salt, cost, length, algorithm) {
+    // `length` is in bits, as in the native module
+    return crypto.pbkdf2Sync(password, salt, cost, length / 8, algorithm).toString("hex");
+  },
+
+  async pbkdf2(password, salt, cost, length, algorithm) {
+    return nodeAes.pbkdf2Sync(password, salt, cost, length, algorithm);
+  },
+
+  async hmac256(text, key) {
+    return crypto.createHmac("sha256", Buffer.from(key, "hex")).update(text, "utf8").digest("hex");
+  },
+
+  async hmac512(text, key) {
+    return crypto.createHmac("sha512", Buffer.from(key, "hex")).update(text, "utf8").digest("hex");
+  },
+
+  async randomKey(length) {
+    return crypto.randomBytes(length).toString("hex");
+  },
+
+  async randomUuid() {
+    return crypto.randomUUID();
+  },
+
+  async sha1(text) {
+    return crypto.createHash("sha1").update(text, "utf8").digest("hex");
+  },
+
+  async sha256(text) {
+    return crypto.createHash("sha256").update(text, "utf8").digest("hex");
+  },
+
+  async sha512(text) {
+    return crypto.createHash("sha512").update(text, "utf8").digest("hex");
+  },
+};
@@ -0,0 +1,400 @@
+import * as fs from "fs";
+import * as path from "path";
+import { threadId } from "worker_threads";
+import { HttpRequest, HttpResponse, currentScope, useInterceptor } from "./httpInterceptors";
+import { StoredCookie } from "./types";
+
+/**
+ * Cookies captured from `Set-Cookie` responses, kept per provider and
+ * replayed on that provider's later requests to the same site, like a
+ * browser would. Stored in .cache/cookies.json so they survive restarts and
+ * are shared by the dev server's sandbox workers. COOKIE_JAR=off disables
+ * it.
+ */
+
+// Requests made outside a provider call (extractors run from the dev
+// server's /resolve, scripts) share this jar
+const SHARED = "_shared";
+
+type Jar = Record<string, StoredCookie[]>;
+
+const jarPath = () =>
+  process.env.COOKIE_JAR_FILE || path.join(__dirname, "..", ".cache", "cookies.json");
+
+let jar: Jar | undefined;
+let jarMtime = 0;
+
+function fileMtime(file: string) {
+  return fs.existsSync(file) ? fs.statSync(file).mtimeMs : 0;
+}
+
+function readJarFile(file: string): Jar {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error: any) {
+    console.error(`Invalid cookie jar ${file}:`, error.message);
+    return {};
+  }
+}
+
+// Re-read when another thread has written the file since
+function loadJar(): Jar {
+  const file = jarPath();
+  const mtime = fileMtime(file);
+  if (!jar || mtime !== jarMtime) {
+    jar = readJarFile(file);
+    jarMtime = mtime;
+  }
+  return jar;
+}
+
+/**
+ * Apply a change to the jar as it is on disk right now, not to this
+ * thread's copy, so cookies another sandbox worker stored since are kept.
+ * The file is written (atomically) when `change` returns a truthy value,
+ * which is passed back.
+ */
+function updateJar<T>(change: (current: Jar) => T): T {
+  const file = jarPath();
+  const current = readJarFile(file);
+  const result = change(current);
+  if (!result) return result;
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.${process.pid}-${threadId}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(current, null, 2));
+    fs.renameSync(temp, file);
+    jar = current;
+    jarMtime = fileMtime(file);
+  } catch (error: any) {
+    console.error("Failed to save cookie jar:", error.message);
+  }
+  return result;
+}
+
+function jarKey(provider?: string) {
+  return provider || SHARED;
+}
+
+function expired(cookie: StoredCookie, now = Date.now()) {
+  return cookie.expires !== undefined && cookie.expires <= now;
+}
+
+function defaultPath(pathname: string) {
+  const index = pathname.lastIndexOf("/");
+  return index > 0 ? pathname.slice(0, index) : "/";
+}
+
+/**
+ * Parse one `Set-Cookie` header value as received from `url`. Returns null
+ * for malformed cookies and ones the host may not set (another domain).
+ */
+export function parseSetCookie(header: string, url: string): StoredCookie | null {
+  const { hostname, pathname } = new URL(url);
+  const [pair, ...attributes] = header.split(";");
+  const separator = pair.indexOf("=");
+  if (separator <= 0) return null;
+
+  const cookie: StoredCookie = {
+    name: pair.slice(0, separator).trim(),
+    value: pair.slice(separator + 1).trim(),
+    domain: hostname,
+    hostOnly: true,
+    path: defaultPath(pathname),
+    secure: false,
+    httpOnly: false,
+  };
+
+  let maxAge: number | undefined;
+  for (const attribute of attributes) {
+    const [rawName, ...rest] = attribute.split("=");
+    const name = rawName.trim().toLowerCase();
+    const value = rest.join("=").trim();
+    if (name === "domain" && value) {
+      const domain = value.replace(/^\./, "").toLowerCase();
+      if (hostname !== domain && !hostname.endsWith(`.${domain}`)) return null;
+      cookie.domain = domain;
+      cookie.hostOnly = false;
+    } else if (name === "path" && value.startsWith("/")) {
+      cookie.path = value;
+    } else if (name === "expires") {
+      const time = Date.parse(value);
+      if (!Number.isNaN(time)) cookie.expires = time;
+    } else if (name === "max-age" && /^-?\d+$/.test(value)) {
+      maxAge = Number(value);
+    } else if (name === "secure") {
+      cookie.secure = true;
+    } else if (name === "httponly") {
+      cookie.httpOnly = true;
+    }
+  }
+  // Max-Age wins over Expires
+  if (maxAge !== undefined) {
+    cookie.expires = Date.now() + maxAge * 1000;
+  }
+  return cookie;
+}
+
+function matches(cookie: StoredCookie, url: URL) {
+  const host = url.hostname;
+  const domainMatch = cookie.hostOnly
+    ? host === cookie.domain
+    : host === cookie.domain || host.endsWith(`.${cookie.domain}`);
+  const pathMatch =
+    url.pathname === cookie.path ||
+    url.pathname.startsWith(cookie.path.endsWith("/") ? cookie.path : `${cookie.path}/`);
+  return domainMatch && pathMatch && (!cookie.secure || url.protocol === "https:");
+}
+
+/**
+ * Store `Set-Cookie` header values received from `url` in a provider's
+ * jar. Cookies that expire right away delete the stored one.
+ */
+export function storeCookies(provider: string | undefined, url: string, headers: string[]) {
+  const received = headers
+    .map((header) => parseSetCookie(header, url))
+    .filter((cookie): cookie is StoredCookie => cookie !== null);
+  if (received.length === 0) return;
+
+  const key = jarKey(provider);
+  updateJar((current) => {
+    const cookies = current[key] || [];
+    let changed = false;
+    for (const cookie of received) {
+      const index = cookies.findIndex(
+        (item) => item.name === cookie.name && item.domain === cookie.domain && item.path === cookie.path
+      );
+      if (expired(cookie)) {
+        if (index !== -1) {
+          cookies.splice(index, 1);
+          changed = true;
+        }
+        continue;
+      }
+      if (index !== -1) {
+        if (JSON.stringify(cookies[index]) === JSON.stringify(cookie)) continue;
+        cookies[index] = cookie;
+      } else {
+        cookies.push(cookie);
+      }
+      changed = true;
+    }
+    if (cookies.length > 0) current[key] = cookies;
+    else delete current[key];
+    return changed;
+  });
+}
+
+/**
+ * The stored cookies a provider would send to `url`, most specific path
+ * first.
+ */
+export function cookiesFor(provider: string | undefined, url: string): StoredCookie[] {
+  let target: URL;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    return [];
+  }
+  return (loadJar()[jarKey(provider)] || [])
+    .filter((cookie) => !expired(cookie) && matches(cookie, target))
+    .sort((a, b) => b.path.length - a.path.length);
+}
+
+/**
+ * `Cookie` header for `url`: the request's own cookies, with stored ones
+ * added and replacing any with the same name (hardcoded session ids go
+ * stale, the stored value is what the site last set).
+ */
+export function cookieHeader(provider: string | undefined, url: string, existing = "") {
+  const values = new Map<string, string>();
+  for (const part of existing.split(";")) {
+    const separator = part.indexOf("=");
+    if (separator > 0) {
+      values.set(part.slice(0, separator).trim(), part.slice(separator + 1).trim());
+    }
+  }
+  const stored = new Set<string>();
+  for (const cookie of cookiesFor(provider, url)) {
+    // The most specific path comes first and wins
+    if (stored.has(cookie.name)) continue;
+    stored.add(cookie.name);
+    values.set(cookie.name, cookie.value);
+  }
+  return Array.from(values, ([name, value]) => `${name}=${value}`).join("; ");
+}
+
+/**
+ * Stored cookies, by provider, optionally limited to one provider and/or a
+ * domain (which includes its subdomains). Expired cookies are left out.
+ */
+export function listCookies({ provider, domain }: { provider?: string; domain?: string } = {}) {
+  const result: Record<string, StoredCookie[]> = {};
+  for (const [key, cookies] of Object.entries(loadJar())) {
+    if (provider && key !== jarKey(provider)) continue;
+    const listed = cookies.filter(
+      (cookie) =>
+        !expired(cookie) &&
+        (!domain || cookie.domain === domain || cookie.domain.endsWith(`.${domain}`))
+    );
+    if (listed.length > 0) result[key] = listed;
+  }
+  return result;
+}
+
+/**
+ * Remove stored cookies: everything, one provider's, and/or those of a
+ * domain. Returns how many were removed.
+ */
+export function clearCookies({ provider, domain }: { provider?: string; domain?: string } = {}) {
+  return updateJar((current) => {
+    let removed = 0;
+    for (const key of Object.keys(current)) {
+      if (provider && key !== jarKey(provider)) continue;
+      const kept = current[key].filter(
+        (cookie) => domain && cookie.domain !== domain && !cookie.domain.endsWith(`.${domain}`)
+      );
+      removed += current[key].length - kept.length;
+      if (kept.length > 0) current[key] = kept;
+      else delete current[key];
+    }
+    return removed;
+  });
+}
+
+function setCookieHeaders(request: HttpRequest, response: HttpResponse): string[] {
+  const raw = response.raw;
+  if (request.source === "fetch") {
+    return raw?.headers?.getSetCookie?.() ?? [];
+  }
+  const value = raw?.headers?.["set-cookie"];
+  return Array.isArray(value) ? value : value ? [value] : [];
+}
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+// Same limit as fetch's own redirect handling
+const MAX_REDIRECTS = 20;
+
+/**
+ * Follow a fetch's redirects one hop at a time (`redirect: "manual"`) so
+ * `send` sees, and the jar stores, the cookies each hop sets, the way
+ * fetch's built-in following would not let us.
+ */
+async function followFetchRedirects(
+  request: HttpRequest,
+  send: (request: HttpRequest) => Promise<HttpResponse>
+) {
+  let current: HttpRequest = {
+    ...request,
+    overrides: { ...request.overrides, redirect: "manual" },
+  };
+  for (let hops = 0; ; hops++) {
+    const response = await send(current);
+    const location = response.headers.location;
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+      return response;
+    }
+    if (hops === MAX_REDIRECTS) {
+      throw new Error(`Too many redirects from ${request.url}`);
+    }
+    await response.raw.body?.cancel().catch(() => {});
+
+    const from = new URL(response.url || current.url);
+    const to = new URL(location, from);
+    const headers = { ...current.headers };
+    const overrides = { ...current.overrides };
+    let { method, body } = current;
+    // Same rules as fetch: 303, and 301/302 after a POST, become a GET
+    if (
+      (response.status === 303 && method !== "GET" && method !== "HEAD") ||
+      ((response.status === 301 || response.status === 302) && method === "POST")
+    ) {
+      method = "GET";
+      body = undefined;
+      overrides.body = undefined;
+      for (const name of Object.keys(headers)) {
+        if (name.startsWith("content-")) delete headers[name];
+      }
+    }
+    if (to.origin !== from.origin) {
+      delete headers.authorization;
+      delete headers.cookie;
+    }
+    current = { ...current, url: to.toString(), method, headers, body, overrides };
+  }
+}
+
+/**
+ * axios follows redirects itself (follow-redirects); its `beforeRedirect`
+ * hook sees each hop's response, so store the cookies that hop set and
+ * send the jar's cookies to the next URL. A caller's own hook still runs.
+ */
+function redirectCookies(provider: string | undefined, request: HttpRequest) {
+  const callerHook = request.options.beforeRedirect;
+  let from = request.url;
+  return (options: Record<string, any>, response: { headers: Record<string, any> }) => {
+    const received = response.headers["set-cookie"];
+    if (received) {
+      storeCookies(provider, from, Array.isArray(received) ? received : [received]);
+    }
+    const name = Object.keys(options.headers).find((header) => header.toLowerCase() === "cookie");
+    const existing = name ? options.headers[name] : "";
+    if (name) delete options.headers[name];
+    const cookie = cookieHeader(provider, options.href, existing);
+    if (cookie) options.headers.cookie = cookie;
+    from = options.href;
+    callerHook?.(options, response);
+  };
+}
+
+async function cookieInterceptor(
+  request: HttpRequest,
+  next: (request: HttpRequest) => Promise<HttpResponse>
+) {
+  if (process.env.COOKIE_JAR === "off") {
+    return next(request);
+  }
+
+  // Replayed cassettes must neither depend on nor change the jar, but fetch
+  // redirects are still followed hop by hop, as they were when recorded
+  const replay = request.scope?.cassette?.mode === "replay";
+  const provider = request.scope?.provider;
+  const send = async (hop: HttpRequest) => {
+    if (replay) return next(hop);
+    const cookie = cookieHeader(provider, hop.url, hop.headers.cookie);
+    const response = await next(cookie ? { ...hop, headers: { ...hop.headers, cookie } } : hop);
+    const received = setCookieHeaders(hop, response);
+    if (received.length > 0) {
+      storeCookies(provider, response.url || hop.url, received);
+    }
+    return response;
+  };
+
+  if (request.source === "fetch" && (request.options.redirect ?? "follow") === "follow") {
+    return followFetchRedirects(request, send);
+  }
+  if (request.source === "axios" && !replay) {
+    return send({
+      ...request,
+      overrides: { ...request.overrides, beforeRedirect: redirectCookies(provider, request) },
+    });
+  }
+  return send(request);
+}
+
+/**
+ * providerContext.cookies: the calling provider's jar.
+ */
+export const cookieJar = {
+  get: (url: string) => cookiesFor(currentScope()?.provider, url),
+  header: (url: string) => cookieHeader(currentScope()?.provider, url),
+  set: (url: string, setCookie: string | string[]) =>
+    storeCookies(currentScope()?.provider, url, Array.isArray(setCookie) ? setCookie : [setCookie]),
+  clear: (domain?: string) =>
+    clearCookies({ provider: jarKey(currentScope()?.provider), domain }),
+};
+
+export function installCookieJar() {
+  useInterceptor("cookies", cookieInterceptor);
+}
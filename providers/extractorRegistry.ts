@@ -0,0 +1,87 @@
+import axios from "axios";
+import { headers } from "./headers";
+import { hubcloudExtracter } from "./hubcloudExtractor";
+import { gdFlixExtracter } from "./gdflixExtractor";
+import { gofileExtracter } from "./gofileExtracter";
+import { playerStreams } from "./unpacker";
+import { Registry, directLinks } from "./hosterLinks";
+
+export { Registry, directExtractor, directLinks } from "./hosterLinks";
+
+/**
+ * Every known extractor, for providerContext.extractors.registry and the
+ * dev server's /resolve route. Hoster pages come first, then the direct
+ * file hosts.
+ */
+export const extractorRegistry = new Registry();
+
+extractorRegistry.register({
+  name: "HubCloud",
+  hosts: ["hubcloud", "vcloud"],
+  extract: (url, { signal }) => hubcloudExtracter(url, signal as AbortSignal),
+});
+extractorRegistry.register({
+  name: "GDFlix",
+  hosts: ["gdflix"],
+  extract: (url, { signal }) => gdFlixExtracter(url, signal as AbortSignal),
+});
+extractorRegistry.register({
+  name: "DriveLeech",
+  hosts: ["driveleech", "driveseed"],
+  // The landing page sends the browser on with window.location.replace; the
+  // file page it leads to has the same buttons as GDFlix
+  extract: async (url, { signal }) => {
+    const res = await axios.get(url, { headers, signal });
+    const path = String(res.data).match(/window\.location\.replace\("([^"]+)"\)/)?.[1];
+    if (path) {
+      return new URL(path, url).toString();
+    }
+    return gdFlixExtracter(url, signal as AbortSignal);
+  },
+});
+extractorRegistry.register({
+  name: "GoFile",
+  patterns: [/^https?:\/\/(www\.)?gofile\.io\/d\/[^/?#]+/],
+  extract: async (url) => {
+    const id = url.split("/d/")[1].split(/[/?#]/)[0];
+    const { link, token } = await gofileExtracter(id);
+    if (!link) return [];
+    return [
+      {
+        server: "GoFile",
+        link,
+        type: "mkv",
+        headers: {
+          referer: "https://gofile.io",
+          cookie: `accountToken=${token}`,
+        },
+      },
+    ];
+  },
+});
+extractorRegistry.register({
+  name: "SuperVideo",
+  hosts: ["supervideo"],
+  extract: async (url, { signal }) => {
+    const res = await fetch(url, { headers, signal });
+    return playerStreams(await res.text(), { server: "SuperVideo", baseUrl: url });
+  },
+});
+extractorRegistry.register({
+  name: "Mixdrop",
+  hosts: ["mixdrop", "mixdrp", "m1xdrop"],
+  // The /f/ file page embeds /e/, where the packed player sets MDCore.wurl
+  extract: async (url, { signal }) => {
+    const embed = url.replace("/f/", "/e/");
+    const res = await axios.get(embed, { headers: { ...headers, Referer: url }, signal });
+    return playerStreams(res.data, {
+      server: "Mixdrop",
+      baseUrl: embed,
+      headers: { Referer: embed, Origin: new URL(embed).origin },
+    });
+  },
+});
+
+for (const extractor of directLinks.all()) {
+  extractorRegistry.register(extractor);
+}
@@ -1,29 +1,258 @@
+import * as fs from "fs";
+import * as path from "path";
+import { BaseUrlMissingError, fail } from "./providerErrors";
+
 // 1 hour
 const expireTime = 60 * 60 * 1000;
 
-export const getBaseUrl = async (providerValue: string) => {
+const REMOTE_LIST = "https://himanshu8443.github.io/providers/modflix.json";
+
+// How long a mirror gets to answer when probing
+const PROBE_TIMEOUT = 5000;
+
+/**
+ * A local override in baseUrls.json. A plain string pins the key to that
+ * URL (no network needed). An object lists mirrors to probe, in order,
+ * before the URL from modflix.json.
+ */
+export type BaseUrlOverride = string | { url?: string; mirrors?: string[] };
+
+export interface ResolvedBaseUrl {
+  url: string;
+  source: "override" | "remote" | "mirror";
+  resolvedAt: number;
+}
+
+const overridesPath = () =>
+  process.env.BASE_URLS_FILE || path.join(__dirname, "..", "baseUrls.json");
+const cachePath = () => path.join(__dirname, "..", ".cache", "base-urls.json");
+
+let cache: Record<string, ResolvedBaseUrl> | undefined;
+let cacheMtime = 0;
+let remoteList: { data: Record<string, { url?: string }>; time: number } | undefined;
+const resolving = new Map<string, Promise<ResolvedBaseUrl>>();
+
+function readJson(file: string) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error: any) {
+    console.error(`Invalid JSON in ${file}:`, error.message);
+    return {};
+  }
+}
+
+function fileMtime(file: string) {
+  return fs.existsSync(file) ? fs.statSync(file).mtimeMs : 0;
+}
+
+// Re-read when another thread (the dev server's sandbox workers each load
+// this module) has written the file since
+function loadCache() {
+  const mtime = fileMtime(cachePath());
+  if (!cache || mtime !== cacheMtime) {
+    cache = readJson(cachePath());
+    cacheMtime = mtime;
+  }
+  return cache as Record<string, ResolvedBaseUrl>;
+}
+
+function saveCache() {
   try {
-    let baseUrl = "";
-    const cacheKey = "CacheBaseUrl" + providerValue;
-    const timeKey = "baseUrlTime" + providerValue;
-
-    // const cachedUrl = cacheStorageService.getString(cacheKey);
-    // const cachedTime = cacheStorageService.getObject<number>(timeKey);
-
-    // if (cachedUrl && cachedTime && Date.now() - cachedTime < expireTime) {
-    //   baseUrl = cachedUrl;
-    // } else {
-    const baseUrlRes = await fetch(
-      "https://himanshu8443.github.io/providers/modflix.json"
+    const resolved = loadCache();
+    fs.mkdirSync(path.dirname(cachePath()), { recursive: true });
+    fs.writeFileSync(cachePath(), JSON.stringify(resolved, null, 2));
+    cacheMtime = fileMtime(cachePath());
+  } catch (error: any) {
+    console.error("Failed to save base URL cache:", error.message);
+  }
+}
+
+export function readOverrides(): Record<string, BaseUrlOverride> {
+  return readJson(overridesPath());
+}
+
+function writeOverrides(overrides: Record<string, BaseUrlOverride>) {
+  fs.writeFileSync(overridesPath(), JSON.stringify(overrides, null, 2) + "\n");
+}
+
+async function fetchRemoteList() {
+  if (remoteList && Date.now() - remoteList.time < expireTime) {
+    return remoteList.data;
+  }
+  const res = await fetch(REMOTE_LIST);
+  if (!res.ok) {
+    throw new Error(`${REMOTE_LIST} responded with ${res.status}`);
+  }
+  remoteList = { data: await res.json(), time: Date.now() };
+  return remoteList.data;
+}
+
+/**
+ * Whether a mirror answers at all. Any response below 500 counts, since
+ * sites behind a bot wall still answer 403.
+ */
+async function probe(url: string) {
+  try {
+    const res = await fetch(url, {
+      method: "GET",
+      redirect: "follow",
+      signal: AbortSignal.timeout(PROBE_TIMEOUT),
+      retry: false,
+    } as RequestInit);
+    res.body?.cancel().catch(() => {});
+    return res.status < 500;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function resolve(providerValue: string): Promise<ResolvedBaseUrl> {
+  const override = readOverrides()[providerValue];
+  const candidates: { url: string; source: ResolvedBaseUrl["source"] }[] = [];
+  if (typeof override === "object" && override.url) {
+    candidates.push({ url: override.url, source: "override" });
+  }
+  for (const mirror of (typeof override === "object" && override.mirrors) || []) {
+    candidates.push({ url: mirror, source: "mirror" });
+  }
+
+  let remoteError: unknown;
+  try {
+    const remoteUrl = (await fetchRemoteList())[providerValue]?.url;
+    if (remoteUrl) {
+      candidates.push({ url: remoteUrl, source: "remote" });
+    }
+  } catch (error) {
+    // Mirrors from the override file may still work
+    remoteError = error;
+  }
+
+  if (candidates.length === 0) {
+    throw remoteError
+      ? new BaseUrlMissingError(`Could not resolve base URL for ${providerValue}`, {
+          cause: remoteError,
+        })
+      : new BaseUrlMissingError(`No base URL listed for ${providerValue}`);
+  }
+  if (candidates.length === 1) {
+    return { ...candidates[0], resolvedAt: Date.now() };
+  }
+
+  for (const candidate of candidates) {
+    if (await probe(candidate.url)) {
+      return { ...candidate, resolvedAt: Date.now() };
+    }
+  }
+  throw new BaseUrlMissingError(
+    `None of the ${candidates.length} base URLs for ${providerValue} answered`,
+    { url: candidates[0].url }
+  );
+}
+
+/**
+ * Resolve a base URL, skipping the cache when `force` is set. Pinned
+ * overrides are read fresh on every call. Concurrent calls for one key
+ * share a single resolution.
+ */
+export function resolveBaseUrl(
+  providerValue: string,
+  { force = false } = {}
+): Promise<ResolvedBaseUrl> {
+  const pinned = readOverrides()[providerValue];
+  if (typeof pinned === "string") {
+    return Promise.resolve({ url: pinned, source: "override", resolvedAt: Date.now() });
+  }
+
+  const cached = loadCache()[providerValue];
+  if (!force && cached && Date.now() - cached.resolvedAt < expireTime) {
+    return Promise.resolve(cached);
+  }
+
+  if (!resolving.has(providerValue)) {
+    resolving.set(
+      providerValue,
+      resolve(providerValue)
+        .then((resolved) => {
+          loadCache()[providerValue] = resolved;
+          saveCache();
+          return resolved;
+        })
+        .finally(() => resolving.delete(providerValue))
     );
-    const baseUrlData = await baseUrlRes.json();
-    baseUrl = baseUrlData[providerValue].url;
-    // cacheStorageService.setString(cacheKey, baseUrl);
-    // cacheStorageService.setObject(timeKey, Date.now());
-    // }
-    return baseUrl;
+  }
+  return resolving.get(providerValue)!;
+}
+
+export const getBaseUrl = async (providerValue: string) => {
+  try {
+    return (await resolveBaseUrl(providerValue)).url;
   } catch (error) {
+    // An expired URL beats an empty one when the list can't be reached
+    const stale = loadCache()[providerValue];
+    if (stale) {
+      console.error(`Using cached baseUrl for ${providerValue}:`, (error as Error).message);
+      return stale.url;
+    }
     console.error(`Error fetching baseUrl: ${providerValue}`, error);
-    return "";
+    return fail(
+      error instanceof BaseUrlMissingError
+        ? error
+        : new BaseUrlMissingError(`Could not resolve base URL for ${providerValue}`, {
+            cause: error,
+          }),
+      ""
+    );
   }
 };
+
+/**
+ * Every key that is cached or overridden, with its resolved URL and local
+ * override.
+ */
+export function listBaseUrls() {
+  const overrides = readOverrides();
+  const resolved = loadCache();
+  const keys = new Set([...Object.keys(resolved), ...Object.keys(overrides)]);
+  return Array.from(keys)
+    .sort()
+    .map((key) => {
+      const override = overrides[key];
+      if (typeof override === "string") {
+        return { key, url: override, source: "override", override };
+      }
+      const entry = resolved[key];
+      return {
+        key,
+        url: entry?.url,
+        source: entry?.source,
+        resolvedAt: entry ? new Date(entry.resolvedAt).toISOString() : undefined,
+        expired: entry ? Date.now() - entry.resolvedAt >= expireTime : undefined,
+        override,
+      };
+    });
+}
+
+/**
+ * Write (or with `undefined`, remove) a key's entry in baseUrls.json and
+ * forget its cached resolution.
+ */
+export function setBaseUrlOverride(providerValue: string, override?: BaseUrlOverride) {
+  const overrides = readOverrides();
+  if (override === undefined) {
+    delete overrides[providerValue];
+  } else {
+    overrides[providerValue] = override;
+  }
+  writeOverrides(overrides);
+  clearBaseUrlCache(providerValue);
+}
+
+export function clearBaseUrlCache(providerValue?: string) {
+  const resolved = loadCache();
+  for (const key of Object.keys(resolved)) {
+    if (!providerValue || key === providerValue) delete resolved[key];
+  }
+  if (!providerValue) remoteList = undefined;
+  saveCache();
+}
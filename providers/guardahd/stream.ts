@@ -12,6 +12,15 @@ export const getStream = async function ({
   try {
     const { axios, cheerio, extractors } = providerContext;
     const { superVideoExtractor } = extractors;
+    // Every source of the embed with its subtitles; older app builds
+    // without the unpacker only get the HLS playlist
+    async function superVideoStreams(data: string, server: string) {
+      if (extractors.unpacker) {
+        return extractors.unpacker.playerStreams(data, { server });
+      }
+      const streamUrl = await superVideoExtractor(data);
+      return streamUrl ? [{ server, link: streamUrl, type: "m3u8" }] : [];
+    }
     async function ExtractGuardahd({
       imdb, // type, // season,
     }: // episode,
@@ -42,8 +51,7 @@ export const getStream = async function ({
         const res2 = await fetch("https:" + superVideoUrl, { signal: signal2 });
         const data = await res2.text();
         //   console.log('mostraguarda data:', data);
-        const streamUrl = await superVideoExtractor(data);
-        return streamUrl;
+        return superVideoStreams(data, "Supervideo 2");
       } catch (err) {
         console.error("Error in GetMostraguardaStram:", err);
       }
@@ -84,8 +92,7 @@ export const getStream = async function ({
         const res2 = await fetch("https:" + superVideoUrl, { signal: signal2 });
         const data = await res2.text();
         //   console.log('mostraguarda data:', data);
-        const streamUrl = await superVideoExtractor(data);
-        return streamUrl;
+        return superVideoStreams(data, "Supervideo 1");
       } catch (err) {
         console.error("Error in GetMostraguardaStram:", err);
       }
@@ -106,11 +113,7 @@ export const getStream = async function ({
       episode: episode,
     });
     if (mostraguardaStream) {
-      streams.push({
-        server: "Supervideo 1",
-        link: mostraguardaStream,
-        type: "m3u8",
-      });
+      streams.push(...mostraguardaStream);
     }
 
     const guardahdStream = await ExtractGuardahd({
@@ -121,11 +124,7 @@ export const getStream = async function ({
     });
 
     if (guardahdStream) {
-      streams.push({
-        server: "Supervideo 2",
-        link: guardahdStream,
-        type: "m3u8",
-      });
+      streams.push(...guardahdStream);
     }
 
     return streams;
@@ -0,0 +1,137 @@
+import { Extractor, ExtractorContext, ExtractorRegistry, Stream } from "./types";
+import { ProviderError } from "./providerErrors";
+
+// The extractor registry itself, and the hosts that serve files directly.
+// Hoster page extractors are registered in extractorRegistry.ts; this file
+// doesn't import them, so they can use directLinks.
+
+// Redirect hops resolve() follows before giving up
+const MAX_DEPTH = 5;
+
+function hostMatches(hostname: string, host: string) {
+  if (host.includes(".")) {
+    return hostname === host || hostname.endsWith(`.${host}`);
+  }
+  return hostname.split(".").some((label) => label.includes(host));
+}
+
+/**
+ * Extractors by the hostnames and URL patterns they handle. The first
+ * registered extractor that matches a URL wins, so register specific
+ * patterns before broad ones.
+ */
+export class Registry implements ExtractorRegistry {
+  private extractors: Extractor[] = [];
+
+  register(extractor: Extractor) {
+    this.extractors = this.extractors.filter((item) => item.name !== extractor.name);
+    this.extractors.push(extractor);
+  }
+
+  find(url: string): Extractor | undefined {
+    let hostname: string;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return undefined;
+    }
+    return this.extractors.find(
+      (extractor) =>
+        extractor.hosts?.some((host) => hostMatches(hostname, host.toLowerCase())) ||
+        extractor.patterns?.some((pattern) => pattern.test(url))
+    );
+  }
+
+  /**
+   * Turn a hoster link into streams with the matching extractor, following
+   * the URLs extractors hand back (redirect pages, mirrors) up to
+   * MAX_DEPTH hops.
+   */
+  resolve(url: string, signal?: AbortSignal): Promise<Stream[]> {
+    return this.resolveAt(url, signal, 0, []);
+  }
+
+  private async resolveAt(
+    url: string,
+    signal: AbortSignal | undefined,
+    depth: number,
+    seen: string[]
+  ): Promise<Stream[]> {
+    if (seen.includes(url)) {
+      throw new ProviderError("PARSE_ERROR", `Redirect loop: ${[...seen, url].join(" → ")}`, { url });
+    }
+    if (depth > MAX_DEPTH) {
+      throw new ProviderError("PARSE_ERROR", `Gave up after ${MAX_DEPTH} redirects`, { url });
+    }
+    const extractor = this.find(url);
+    if (!extractor) {
+      throw new ProviderError("UNSUPPORTED", `No extractor for ${url}`, { url });
+    }
+    signal?.throwIfAborted();
+
+    const context: ExtractorContext = {
+      signal,
+      depth,
+      resolve: (next) => this.resolveAt(next, signal, depth + 1, [...seen, url]),
+    };
+    const result = await extractor.extract(url, context);
+    if (typeof result === "string") {
+      if (!result) {
+        throw new ProviderError("PARSE_ERROR", `${extractor.name} found nothing at ${url}`, { url });
+      }
+      return context.resolve(new URL(result, url).toString());
+    }
+    return result;
+  }
+
+  all(): Extractor[] {
+    return [...this.extractors];
+  }
+
+  list() {
+    return this.extractors.map(({ name, hosts = [], patterns = [] }) => ({
+      name,
+      hosts,
+      patterns: patterns.map(String),
+    }));
+  }
+}
+
+/**
+ * Extractor for links that already are the file: the stream is the link
+ * itself, labelled with the host's server name.
+ */
+export function directExtractor(name: string, match: Pick<Extractor, "hosts" | "patterns">): Extractor {
+  return {
+    name,
+    ...match,
+    extract: async (url) => [{ server: name, link: url, type: "mkv" }],
+  };
+}
+
+/**
+ * Hosts whose links already are the file (after at most a URL rewrite), so
+ * extractors can label the links they find without another request.
+ */
+export const directLinks = new Registry();
+
+directLinks.register({
+  name: "Pixeldrain",
+  hosts: ["pixeld"],
+  // pixeldrain.com/u/<id> is the viewer page; the API serves the file
+  extract: async (url) => {
+    if (url.includes("api")) {
+      return [{ server: "Pixeldrain", link: url, type: "mkv" }];
+    }
+    const token = url.split("/").pop();
+    const baseUrl = url.split("/").slice(0, -2).join("/");
+    return [{ server: "Pixeldrain", link: `${baseUrl}/api/file/${token}?download`, type: "mkv" }];
+  },
+});
+directLinks.register(directExtractor("CfStorage", { hosts: ["cloudflarestorage"] }));
+directLinks.register(directExtractor("FastDl", { hosts: ["fastdl"] }));
+directLinks.register(directExtractor("HubCdn", { hosts: ["hubcdn"] }));
+// Workers on *.dev that serve the file; /?id= links on them are pages
+directLinks.register(
+  directExtractor("Cf Worker", { patterns: [/^(?!.*\/\?id=)https?:\/\/[^/]+\.dev\//] })
+);
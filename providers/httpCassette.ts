@@ -0,0 +1,252 @@
+import * as fs from "fs";
+import * as path from "path";
+import { Readable } from "stream";
+import {
+  HttpRequest,
+  HttpResponse,
+  installHttpInterceptors,
+  runInProviderScope,
+  useInterceptor,
+} from "./httpInterceptors";
+
+/**
+ * Record/replay of provider HTTP traffic ("cassettes"). In record mode every
+ * axios and fetch exchange made during a provider call is written to
+ * providers/<provider>/__fixtures__/<name>.json together with the call's
+ * result. In replay mode those responses are served back and any request
+ * that was not recorded fails, so parsers can be tested offline.
+ */
+
+export type CassetteMode = "record" | "replay";
+
+export interface CassetteInteraction {
+  method: string;
+  url: string;
+  requestBody?: string;
+  status: number;
+  statusText: string;
+  headers: Record<string, string>;
+  finalUrl: string;
+  body: string;
+  encoding: "utf8" | "base64";
+}
+
+export interface CassetteFile {
+  provider: string;
+  functionName: string;
+  params: Record<string, any>;
+  recordedAt: string;
+  interactions: CassetteInteraction[];
+  result?: any;
+}
+
+const TEXT_TYPES = /text|json|xml|javascript|mpegurl|html|x-www-form-urlencoded/i;
+
+export class Cassette {
+  mode: CassetteMode;
+  file: CassetteFile;
+  // Replayed requests that had no recording. Providers usually swallow the
+  // error, so withCassette fails the call afterwards instead.
+  misses: string[] = [];
+  private used = new Map<string, number>();
+
+  constructor(mode: CassetteMode, file: CassetteFile) {
+    this.mode = mode;
+    this.file = file;
+  }
+
+  static key(method: string, url: string, body?: string) {
+    return `${method} ${url}${body ? ` ${body}` : ""}`;
+  }
+
+  /**
+   * Find the next recorded response for a request. Repeats of a request
+   * beyond what was recorded get the last recorded response again.
+   */
+  take(request: HttpRequest): CassetteInteraction | undefined {
+    const key = Cassette.key(request.method, request.url, request.body);
+    const matches = this.file.interactions.filter(
+      (item) => Cassette.key(item.method, item.url, item.requestBody) === key
+    );
+    if (matches.length === 0) return undefined;
+
+    const index = this.used.get(key) || 0;
+    this.used.set(key, index + 1);
+    return matches[Math.min(index, matches.length - 1)];
+  }
+
+  async record(request: HttpRequest, response: HttpResponse) {
+    const { body, encoding } = await readBody(request, response);
+    this.file.interactions.push({
+      method: request.method,
+      url: request.url,
+      requestBody: request.body,
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+      finalUrl: response.url,
+      body,
+      encoding,
+    });
+  }
+}
+
+async function readBody(
+  request: HttpRequest,
+  response: HttpResponse
+): Promise<{ body: string; encoding: "utf8" | "base64" }> {
+  const isText = TEXT_TYPES.test(response.headers["content-type"] || "");
+
+  if (request.source === "fetch") {
+    const buffer = Buffer.from(await response.raw.clone().arrayBuffer());
+    return isText
+      ? { body: buffer.toString("utf8"), encoding: "utf8" }
+      : { body: buffer.toString("base64"), encoding: "base64" };
+  }
+
+  // axios adapters hand back a string, a Buffer (arraybuffer) or a stream
+  const data = response.raw.data;
+  if (typeof data === "string") {
+    return { body: data, encoding: "utf8" };
+  }
+  if (Buffer.isBuffer(data)) {
+    return { body: data.toString("base64"), encoding: "base64" };
+  }
+  throw new Error(
+    `Cannot record streamed response for ${request.method} ${request.url}`
+  );
+}
+
+function toResponse(request: HttpRequest, item: CassetteInteraction): HttpResponse {
+  const buffer = Buffer.from(item.body, item.encoding);
+
+  let raw: any;
+  if (request.source === "fetch") {
+    raw = new Response(item.status === 204 || item.status === 304 ? null : buffer, {
+      status: item.status,
+      statusText: item.statusText,
+      headers: item.headers,
+    });
+    Object.defineProperty(raw, "url", { value: item.finalUrl });
+  } else {
+    const config = request.options;
+    const data =
+      config.responseType === "arraybuffer"
+        ? buffer
+        : config.responseType === "stream"
+        ? Readable.from(buffer)
+        : buffer.toString("utf8");
+    raw = {
+      data,
+      status: item.status,
+      statusText: item.statusText,
+      headers: item.headers,
+      config,
+      request: {
+        responseURL: item.finalUrl,
+        res: { responseUrl: item.finalUrl },
+      },
+    };
+  }
+
+  return {
+    status: item.status,
+    statusText: item.statusText,
+    headers: item.headers,
+    url: item.finalUrl,
+    raw,
+  };
+}
+
+async function cassetteInterceptor(
+  request: HttpRequest,
+  next: (request: HttpRequest) => Promise<HttpResponse>
+) {
+  const cassette: Cassette | undefined = request.scope?.cassette;
+  if (!cassette) {
+    return next(request);
+  }
+
+  if (cassette.mode === "replay") {
+    const item = cassette.take(request);
+    if (!item) {
+      cassette.misses.push(`${request.method} ${request.url}`);
+      throw new Error(
+        `Unmatched request in replay mode: ${request.method} ${request.url}`
+      );
+    }
+    return toResponse(request, item);
+  }
+
+  const response = await next(request);
+  await cassette.record(request, response);
+  return response;
+}
+
+/**
+ * Where the cassette for a provider call lives, relative to the compiled
+ * dist/ directory.
+ */
+export function fixturePath(provider: string, name: string) {
+  return path.join(__dirname, "..", "providers", provider, "__fixtures__", `${name}.json`);
+}
+
+export function loadCassette(provider: string, name: string): CassetteFile {
+  const file = fixturePath(provider, name);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No cassette at ${file}`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Run a provider call with a cassette. In record mode the cassette and the
+ * call's result are saved once `fn` resolves; in replay mode the recorded
+ * traffic is served instead of the network, and the call rejects if it made
+ * any request that wasn't recorded, even when the provider caught the error.
+ */
+export async function withCassette<T>(
+  options: {
+    mode: CassetteMode;
+    provider: string;
+    name: string;
+    functionName: string;
+    params: Record<string, any>;
+  },
+  fn: () => Promise<T>
+): Promise<T> {
+  installHttpInterceptors();
+  useInterceptor("cassette", cassetteInterceptor);
+
+  const { mode, provider, name, functionName, params } = options;
+  const cassette = new Cassette(
+    mode,
+    mode === "replay"
+      ? loadCassette(provider, name)
+      : {
+          provider,
+          functionName,
+          params,
+          recordedAt: new Date().toISOString(),
+          interactions: [],
+        }
+  );
+
+  const result = await runInProviderScope({ provider, functionName, cassette }, fn);
+
+  if (cassette.misses.length > 0) {
+    throw new Error(
+      `Unmatched requests in replay mode: ${cassette.misses.join(", ")}`
+    );
+  }
+
+  if (mode === "record") {
+    const file = fixturePath(provider, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ ...cassette.file, result }, null, 2) + "\n"
+    );
+  }
+  return result;
+}
@@ -0,0 +1,236 @@
+import axios, {
+  AxiosError,
+  AxiosHeaders,
+  AxiosResponse,
+  InternalAxiosRequestConfig,
+} from "axios";
+import { AsyncLocalStorage } from "async_hooks";
+
+/**
+ * Node-only HTTP interception for provider calls. Both the shared `axios`
+ * instance and global `fetch` are routed through one interceptor chain, so
+ * features like recording or metrics see every outbound request no matter
+ * which client a provider uses.
+ */
+
+// Which provider call the current async context belongs to
+export interface ProviderScope {
+  provider?: string;
+  functionName?: string;
+  [key: string]: any;
+}
+
+export interface HttpRequest {
+  source: "axios" | "fetch";
+  url: string;
+  method: string;
+  headers: Record<string, string>;
+  body?: string;
+  scope?: ProviderScope;
+  // Per-request options passed by the caller (axios config or fetch init)
+  options: Record<string, any>;
+  // Client options interceptors want applied when the request is sent
+  // (e.g. an agent), merged into the axios config or fetch init
+  overrides: Record<string, any>;
+}
+
+export interface HttpResponse {
+  status: number;
+  statusText: string;
+  headers: Record<string, string>;
+  url: string;
+  // The client's own response object (AxiosResponse or fetch Response)
+  raw: any;
+}
+
+export type HttpInterceptor = (
+  request: HttpRequest,
+  next: (request: HttpRequest) => Promise<HttpResponse>
+) => Promise<HttpResponse>;
+
+// Kept on globalThis so a reloaded copy of this module (the dev server
+// clears require.cache) shares the chain that is already installed
+const state: {
+  scopeStorage: AsyncLocalStorage<ProviderScope>;
+  interceptors: { name: string; handle: HttpInterceptor }[];
+  installed: boolean;
+} = ((globalThis as any).__providerHttpInterceptors ??= {
+  scopeStorage: new AsyncLocalStorage<ProviderScope>(),
+  interceptors: [],
+  installed: false,
+});
+const { scopeStorage, interceptors } = state;
+
+/**
+ * Run `fn` with `scope` attached to every request it makes. Nested scopes
+ * inherit the fields of the outer one.
+ */
+export function runInProviderScope<T>(scope: ProviderScope, fn: () => T): T {
+  return scopeStorage.run({ ...scopeStorage.getStore(), ...scope }, fn);
+}
+
+export function currentScope(): ProviderScope | undefined {
+  return scopeStorage.getStore();
+}
+
+/**
+ * Add an interceptor under a unique name, replacing any earlier one with
+ * that name. Interceptors run in the order they were first added; the first
+ * one is outermost.
+ */
+export function useInterceptor(name: string, handle: HttpInterceptor) {
+  const existing = interceptors.find((entry) => entry.name === name);
+  if (existing) {
+    existing.handle = handle;
+  } else {
+    interceptors.push({ name, handle });
+  }
+}
+
+export function removeInterceptor(name: string) {
+  const index = interceptors.findIndex((entry) => entry.name === name);
+  if (index !== -1) interceptors.splice(index, 1);
+}
+
+function runChain(
+  request: HttpRequest,
+  send: (request: HttpRequest) => Promise<HttpResponse>
+) {
+  const dispatch = (index: number, req: HttpRequest): Promise<HttpResponse> =>
+    index < interceptors.length
+      ? interceptors[index].handle(req, (nextReq) => dispatch(index + 1, nextReq))
+      : send(req);
+  return dispatch(0, request);
+}
+
+export function headersToObject(headers: any): Record<string, string> {
+  const result: Record<string, string> = {};
+  if (!headers) return result;
+  if (typeof headers.forEach === "function" && !Array.isArray(headers)) {
+    headers.forEach((value: string, name: string) => {
+      result[name.toLowerCase()] = value;
+    });
+    return result;
+  }
+  const entries: [string, any][] = Array.isArray(headers)
+    ? headers
+    : Object.keys(headers).map((name) => [name, headers[name]]);
+  for (const [name, value] of entries) {
+    if (value !== undefined && value !== null) {
+      result[name.toLowerCase()] = Array.isArray(value)
+        ? value.join(", ")
+        : String(value);
+    }
+  }
+  return result;
+}
+
+function installAxios() {
+  const defaultAdapter = axios.getAdapter(axios.defaults.adapter);
+
+  axios.defaults.adapter = async (config: InternalAxiosRequestConfig) => {
+    const url = axios.getUri(config);
+    const request: HttpRequest = {
+      source: "axios",
+      url,
+      method: (config.method || "get").toUpperCase(),
+      headers: headersToObject(config.headers?.toJSON?.() ?? config.headers),
+      body: typeof config.data === "string" ? config.data : undefined,
+      scope: currentScope(),
+      options: config,
+      overrides: {},
+    };
+
+    const response = await runChain(request, async (req) => {
+      // getUri() already folded baseURL and params into the URL
+      const nextConfig = {
+        ...config,
+        url: req.url,
+        baseURL: undefined,
+        params: undefined,
+        method: req.method.toLowerCase(),
+        headers: AxiosHeaders.from(req.headers),
+        // Status is checked once the whole chain has seen the response
+        validateStatus: null,
+        ...req.overrides,
+      };
+      const raw = await defaultAdapter(nextConfig);
+      return {
+        status: raw.status,
+        statusText: raw.statusText,
+        headers: headersToObject(raw.headers),
+        url: raw.request?.res?.responseUrl || req.url,
+        raw,
+      };
+    });
+
+    const raw: AxiosResponse = response.raw;
+    if (config.validateStatus && !config.validateStatus(raw.status)) {
+      throw new AxiosError(
+        `Request failed with status code ${raw.status}`,
+        raw.status >= 500
+          ? AxiosError.ERR_BAD_RESPONSE
+          : AxiosError.ERR_BAD_REQUEST,
+        config,
+        raw.request,
+        raw
+      );
+    }
+    return raw;
+  };
+}
+
+function installFetch() {
+  const originalFetch = globalThis.fetch;
+  if (!originalFetch) return;
+
+  globalThis.fetch = async (input: any, init: any = {}) => {
+    const url =
+      typeof input === "string"
+        ? input
+        : input instanceof URL
+        ? input.toString()
+        : input.url;
+    const request: HttpRequest = {
+      source: "fetch",
+      url,
+      method: (init.method || input.method || "GET").toUpperCase(),
+      headers: headersToObject(init.headers || input.headers),
+      body: typeof init.body === "string" ? init.body : undefined,
+      scope: currentScope(),
+      options: init,
+      overrides: {},
+    };
+
+    const response = await runChain(request, async (req) => {
+      const raw: Response = await originalFetch(
+        req.url === url ? input : req.url,
+        {
+          ...init,
+          ...req.overrides,
+          method: req.method,
+          headers: req.headers,
+        }
+      );
+      return {
+        status: raw.status,
+        statusText: raw.statusText,
+        headers: headersToObject(raw.headers),
+        url: raw.url || req.url,
+        raw,
+      };
+    });
+    return response.raw;
+  };
+}
+
+/**
+ * Route the shared axios instance and global fetch through the interceptor
+ * chain. Safe to call more than once.
+ */
+export function installHttpInterceptors() {
+  if (state.installed) return;
+  state.installed = true;
+  installAxios();
+  installFetch();
+}
@@ -0,0 +1,285 @@
+import * as dns from "dns";
+import * as http from "http";
+import * as https from "https";
+import * as net from "net";
+import { socksConnector } from "fetch-socks";
+import { HttpProxyAgent } from "http-proxy-agent";
+import { HttpsProxyAgent } from "https-proxy-agent";
+import { SocksClientError } from "socks";
+import { SocksProxyAgent } from "socks-proxy-agent";
+import { Dispatcher, ProxyAgent, Agent as UndiciAgent, buildConnector } from "undici";
+import { HttpRequest, HttpResponse, useInterceptor } from "./httpInterceptors";
+import { loadProviderConfig } from "./providerConfig";
+
+/**
+ * Outbound proxies for provider requests, from `proxy` in
+ * provider-config.json: a `default` proxy URL, `providers` entries that
+ * override it (null goes direct) and `noProxy` hosts that are always
+ * reached directly. http://, https://, socks5:// and socks5h:// (DNS
+ * resolved by the proxy) URLs are supported, for axios and fetch alike,
+ * through the http(s)-proxy-agent, socks-proxy-agent, undici ProxyAgent
+ * and fetch-socks agents.
+ */
+
+export type ProxyRoute = string | null | { url: string | null; noProxy?: string[] };
+
+export interface ProxySettings {
+  default?: string | null;
+  providers?: Record<string, ProxyRoute>;
+  // Hostnames ("example.com" includes subdomains, "*" is everything),
+  // optionally with a port ("example.com:8443")
+  noProxy?: string[];
+}
+
+const PROTOCOLS = ["http:", "https:", "socks5:", "socks5h:"];
+
+// Loopback is never proxied
+const ALWAYS_DIRECT = ["localhost", "127.0.0.1", "::1"];
+
+function proxyError(message: string) {
+  // ERR_PROXY is classified as a NETWORK_ERROR and not retried
+  return Object.assign(new Error(message), { code: "ERR_PROXY" });
+}
+
+/**
+ * Parse a proxy URL, throwing for unsupported schemes. A URL without a port
+ * gets the scheme's usual one (1080 for SOCKS).
+ */
+export function parseProxyUrl(value: string): URL {
+  let proxy: URL;
+  try {
+    proxy = new URL(value);
+  } catch (error) {
+    throw proxyError(`Invalid proxy URL: ${value}`);
+  }
+  if (!PROTOCOLS.includes(proxy.protocol)) {
+    throw proxyError(`Unsupported proxy protocol ${proxy.protocol} (use http, https, socks5 or socks5h)`);
+  }
+  if (!proxy.port && proxy.protocol.startsWith("socks")) {
+    proxy.port = "1080";
+  }
+  return proxy;
+}
+
+/**
+ * Problems with a `proxy` config section, as readable messages.
+ */
+export function validateProxySettings(settings: ProxySettings): string[] {
+  const errors: string[] = [];
+  const checkUrl = (where: string, value: unknown) => {
+    if (value === null || value === undefined) return;
+    if (typeof value !== "string") {
+      errors.push(`${where}: must be a proxy URL or null`);
+      return;
+    }
+    try {
+      parseProxyUrl(value);
+    } catch (error: any) {
+      errors.push(`${where}: ${error.message}`);
+    }
+  };
+  const checkList = (where: string, value: unknown) => {
+    if (value !== undefined && (!Array.isArray(value) || value.some((item) => typeof item !== "string"))) {
+      errors.push(`${where}: must be an array of hostnames`);
+    }
+  };
+
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    return ["proxy: must be an object"];
+  }
+  checkUrl("default", settings.default);
+  checkList("noProxy", settings.noProxy);
+  for (const [provider, route] of Object.entries(settings.providers || {})) {
+    if (route && typeof route === "object") {
+      checkUrl(`providers.${provider}.url`, route.url);
+      checkList(`providers.${provider}.noProxy`, route.noProxy);
+    } else {
+      checkUrl(`providers.${provider}`, route);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Whether `url` matches a no-proxy list entry.
+ */
+export function bypassesProxy(url: URL, noProxy: string[]) {
+  const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  const port = url.port || (url.protocol === "https:" ? "443" : "80");
+  return [...ALWAYS_DIRECT, ...noProxy].some((entry) => {
+    const rule = entry.trim().toLowerCase();
+    if (rule === "*") return true;
+    const [, name, rulePort] = rule.match(/^(.*?)(?::(\d+))?$/) || [];
+    if (rulePort && rulePort !== port) return false;
+    const domain = name.replace(/^\*?\./, "");
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
+
+/**
+ * The proxy URL `provider` uses for `url`, or null to connect directly.
+ */
+export function proxyFor(provider: string | undefined, url: string): string | null {
+  const settings: ProxySettings = loadProviderConfig().proxy || {};
+  const route = provider ? settings.providers?.[provider] : undefined;
+
+  let proxy = settings.default ?? null;
+  const noProxy = [...(settings.noProxy || [])];
+  if (route !== undefined) {
+    proxy = route && typeof route === "object" ? route.url : route;
+    if (route && typeof route === "object") noProxy.push(...(route.noProxy || []));
+  }
+  if (!proxy) return null;
+
+  let target: URL;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  return bypassesProxy(target, noProxy) ? null : proxy;
+}
+
+/**
+ * `url` with its password replaced by "***", for display.
+ */
+export function maskProxyUrl(url: string | null) {
+  if (!url) return url;
+  try {
+    const parsed = new URL(url);
+    if (parsed.password) parsed.password = "***";
+    return parsed.toString().replace(/\/$/, "");
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * The `proxy` settings with every password masked.
+ */
+export function maskProxySettings(settings: ProxySettings = {}): ProxySettings {
+  const providers: Record<string, ProxyRoute> = {};
+  for (const [provider, route] of Object.entries(settings.providers || {})) {
+    providers[provider] =
+      route && typeof route === "object" ? { ...route, url: maskProxyUrl(route.url) } : maskProxyUrl(route);
+  }
+  return {
+    ...settings,
+    ...(settings.default !== undefined ? { default: maskProxyUrl(settings.default) } : {}),
+    ...(settings.providers ? { providers } : {}),
+  };
+}
+
+interface ProxyAgents {
+  httpAgent: http.Agent;
+  httpsAgent: https.Agent;
+  dispatcher: Dispatcher;
+}
+
+// fetch-socks always lets the proxy resolve names; socks5:// resolves them here
+function socksDispatcherFor(proxy: URL) {
+  const connector = socksConnector({
+    type: 5,
+    host: proxy.hostname.replace(/^\[|\]$/g, ""),
+    port: Number(proxy.port),
+    userId: decodeURIComponent(proxy.username) || undefined,
+    password: decodeURIComponent(proxy.password) || undefined,
+  });
+  if (proxy.protocol === "socks5h:") {
+    return new UndiciAgent({ connect: connector });
+  }
+  return new UndiciAgent({
+    connect: (options: buildConnector.Options, callback: buildConnector.Callback) => {
+      if (net.isIP(options.hostname)) return connector(options, callback);
+      dns.promises.lookup(options.hostname).then(
+        ({ address }) =>
+          connector(
+            { ...options, hostname: address, servername: options.servername || options.hostname },
+            callback
+          ),
+        (error) => callback(error, null)
+      );
+    },
+  });
+}
+
+function createAgents(proxyUrl: string): ProxyAgents {
+  const proxy = parseProxyUrl(proxyUrl);
+  if (proxy.protocol.startsWith("socks")) {
+    const agent = new SocksProxyAgent(proxy, { keepAlive: true });
+    return { httpAgent: agent, httpsAgent: agent, dispatcher: socksDispatcherFor(proxy) };
+  }
+  // http:// targets are sent to the proxy in absolute form; only https://
+  // ones are tunnelled with CONNECT, which many proxies allow on 443 only
+  return {
+    httpAgent: new HttpProxyAgent(proxy, { keepAlive: true }),
+    httpsAgent: new HttpsProxyAgent(proxy, { keepAlive: true }),
+    dispatcher: new ProxyAgent({ uri: proxy.href, proxyTunnel: false }),
+  };
+}
+
+// Failures of the proxy itself, not of the site behind it
+function isProxyFailure(error: any) {
+  for (let cause = error; cause; cause = cause.cause) {
+    if (cause instanceof SocksClientError || /^Proxy response \(\d+\)/.test(cause.message || "")) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// On globalThis like the scheduler's queues, so reloaded copies of this
+// module reuse the pooled connections
+const agents: Map<string, ProxyAgents> = ((globalThis as any).__providerProxyAgents ??= new Map());
+
+function agentsFor(proxyUrl: string) {
+  let entry = agents.get(proxyUrl);
+  if (!entry) {
+    entry = createAgents(proxyUrl);
+    agents.set(proxyUrl, entry);
+  }
+  return entry;
+}
+
+/**
+ * Close the pooled proxy connections, e.g. after the proxy config changed.
+ */
+export function resetProxyAgents() {
+  agents.forEach(({ httpAgent, httpsAgent, dispatcher }) => {
+    httpAgent.destroy();
+    httpsAgent.destroy();
+    dispatcher.close().catch(() => {});
+  });
+  agents.clear();
+}
+
+async function proxyInterceptor(
+  request: HttpRequest,
+  next: (request: HttpRequest) => Promise<HttpResponse>
+) {
+  // Replayed cassettes never reach the network
+  if (request.scope?.cassette?.mode === "replay") {
+    return next(request);
+  }
+  const proxy = proxyFor(request.scope?.provider, request.url);
+  if (!proxy) {
+    return next(request);
+  }
+
+  const { httpAgent, httpsAgent, dispatcher } = agentsFor(proxy);
+  const overrides =
+    request.source === "axios"
+      ? // proxy: false stops axios from applying HTTP(S)_PROXY on top
+        { proxy: false, httpAgent, httpsAgent }
+      : { dispatcher };
+  try {
+    return await next({ ...request, overrides: { ...request.overrides, ...overrides } });
+  } catch (error: any) {
+    if (isProxyFailure(error)) error.code = "ERR_PROXY";
+    throw error;
+  }
+}
+
+export function installProxy() {
+  useInterceptor("proxy", proxyInterceptor);
+}
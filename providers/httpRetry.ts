@@ -0,0 +1,278 @@
+import { HttpRequest, HttpResponse, useInterceptor } from "./httpInterceptors";
+import { ProviderError } from "./providerErrors";
+import { loadProviderConfig } from "./providerConfig";
+
+/**
+ * Retries with jittered exponential backoff and a per-host circuit breaker
+ * for outbound requests. The policy merges `retry.default`,
+ * `retry.providers[provider]` and `retry.hosts[hostname]` from
+ * provider-config.json, and a single request can override it with a
+ * `retry` option on its axios config or fetch init (`retry: false` turns
+ * retries off for that request).
+ */
+
+export interface RetryPolicy {
+  // Extra attempts after the first one
+  retries: number;
+  // Backoff before the first retry, doubled on each further retry (ms)
+  minDelay: number;
+  // Upper bound for one wait, including Retry-After (ms)
+  maxDelay: number;
+  retryStatuses: number[];
+  retryErrorCodes: string[];
+  // Only these methods are retried, as others may not be idempotent
+  methods: string[];
+  // Consecutive failures that open the host's breaker
+  breakerThreshold: number;
+  // How long an open breaker fails fast before letting one request through (ms)
+  breakerCooldown: number;
+}
+
+declare module "axios" {
+  interface AxiosRequestConfig {
+    retry?: Partial<RetryPolicy> | false;
+  }
+}
+
+export const DEFAULT_RETRY_POLICY: RetryPolicy = {
+  retries: 2,
+  minDelay: 500,
+  maxDelay: 10000,
+  retryStatuses: [429, 500, 502, 503, 504],
+  // UND_ERR_* are undici (fetch) socket errors
+  retryErrorCodes: [
+    "ECONNRESET",
+    "ETIMEDOUT",
+    "EAI_AGAIN",
+    "ECONNREFUSED",
+    "EPIPE",
+    "UND_ERR_SOCKET",
+    "UND_ERR_CONNECT_TIMEOUT",
+  ],
+  methods: ["GET", "HEAD", "OPTIONS"],
+  breakerThreshold: 5,
+  breakerCooldown: 30000,
+};
+
+type BreakerState = "closed" | "open" | "half-open";
+
+interface Breaker {
+  state: BreakerState;
+  failures: number;
+  openedAt?: number;
+  // A half-open breaker lets a single trial request through
+  trialInFlight: boolean;
+}
+
+// Shared by reloaded copies of this module, like the interceptor chain
+const breakers: Map<string, Breaker> = ((globalThis as any).__providerHttpBreakers ??=
+  new Map());
+
+function hostname(url: string) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return "";
+  }
+}
+
+export function retryPolicyFor(
+  provider: string,
+  host: string,
+  override?: Partial<RetryPolicy> | false
+): RetryPolicy {
+  const config = loadProviderConfig().retry || {};
+  const policy: RetryPolicy = {
+    ...DEFAULT_RETRY_POLICY,
+    ...config.default,
+    ...config.providers?.[provider],
+    ...config.hosts?.[host],
+    ...(override || {}),
+  };
+  if (override === false) {
+    policy.retries = 0;
+  }
+  return policy;
+}
+
+function breakerFor(host: string): Breaker {
+  let breaker = breakers.get(host);
+  if (!breaker) {
+    breaker = { state: "closed", failures: 0, trialInFlight: false };
+    breakers.set(host, breaker);
+  }
+  return breaker;
+}
+
+/**
+ * Throw if the host's breaker is open. After the cooldown one request is
+ * let through to test the host again.
+ */
+function checkBreaker(breaker: Breaker, host: string, policy: RetryPolicy, url: string) {
+  if (breaker.state === "open" && Date.now() - (breaker.openedAt || 0) >= policy.breakerCooldown) {
+    breaker.state = "half-open";
+  }
+  if (breaker.state === "half-open" && !breaker.trialInFlight) {
+    breaker.trialInFlight = true;
+    return;
+  }
+  if (breaker.state !== "closed") {
+    throw new ProviderError(
+      "UPSTREAM_ERROR",
+      `Circuit open for ${host} after ${breaker.failures} consecutive failures`,
+      { url }
+    );
+  }
+}
+
+function recordOutcome(breaker: Breaker, failed: boolean, policy: RetryPolicy) {
+  breaker.trialInFlight = false;
+  if (!failed) {
+    breaker.state = "closed";
+    breaker.failures = 0;
+    return;
+  }
+  breaker.failures++;
+  if (breaker.state === "half-open" || breaker.failures >= policy.breakerThreshold) {
+    breaker.state = "open";
+    breaker.openedAt = Date.now();
+  }
+}
+
+function errorCode(error: any): string | undefined {
+  return error?.code || error?.cause?.code;
+}
+
+function isAbort(error: any) {
+  return (
+    error?.name === "AbortError" ||
+    error?.name === "CanceledError" ||
+    errorCode(error) === "ERR_CANCELED"
+  );
+}
+
+/**
+ * Milliseconds to wait according to a Retry-After header (seconds or an
+ * HTTP date), or undefined when there is none.
+ */
+export function retryAfterDelay(value?: string): number | undefined {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+export function backoffDelay(attempt: number, policy: RetryPolicy) {
+  const base = Math.min(policy.maxDelay, policy.minDelay * 2 ** attempt);
+  return base / 2 + Math.random() * (base / 2);
+}
+
+function sleep(ms: number, signal?: AbortSignal) {
+  return new Promise<void>((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal?.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Free the connection of a response we are about to retry
+function discard(request: HttpRequest, response: HttpResponse) {
+  if (request.source === "fetch") {
+    response.raw.body?.cancel().catch(() => {});
+  } else if (typeof response.raw.data?.destroy === "function") {
+    response.raw.data.destroy();
+  }
+}
+
+async function retryInterceptor(
+  request: HttpRequest,
+  next: (request: HttpRequest) => Promise<HttpResponse>
+) {
+  // Replayed cassettes never reach the network
+  if (request.scope?.cassette?.mode === "replay") {
+    return next(request);
+  }
+
+  const host = hostname(request.url);
+  const policy = retryPolicyFor(
+    request.scope?.provider || "",
+    host,
+    request.options.retry
+  );
+  const signal: AbortSignal | undefined = request.options.signal;
+  // A streamed request body can only be sent once
+  const replayable = request.options.body == null || request.body !== undefined;
+  const canRetry = replayable && policy.methods.includes(request.method);
+  const breaker = breakerFor(host);
+
+  for (let attempt = 0; ; attempt++) {
+    checkBreaker(breaker, host, policy, request.url);
+
+    let response: HttpResponse;
+    try {
+      response = await next(request);
+    } catch (error) {
+      if (isAbort(error)) {
+        breaker.trialInFlight = false;
+        throw error;
+      }
+      const retryable = policy.retryErrorCodes.includes(errorCode(error) || "");
+      recordOutcome(breaker, true, policy);
+      // A retry into a breaker this failure opened would only hide the
+      // upstream error behind "Circuit open"
+      if (!canRetry || !retryable || attempt >= policy.retries || breaker.state === "open") {
+        throw error;
+      }
+      await sleep(backoffDelay(attempt, policy), signal);
+      continue;
+    }
+
+    const retryable = policy.retryStatuses.includes(response.status);
+    recordOutcome(breaker, retryable, policy);
+    if (!canRetry || !retryable || attempt >= policy.retries || breaker.state === "open") {
+      return response;
+    }
+
+    const retryAfter = retryAfterDelay(response.headers["retry-after"]);
+    if (retryAfter !== undefined && retryAfter > policy.maxDelay) {
+      // The host wants us gone for longer than we are willing to wait
+      return response;
+    }
+    discard(request, response);
+    await sleep(retryAfter ?? backoffDelay(attempt, policy), signal);
+  }
+}
+
+/**
+ * Breaker state per host, for the dev server status page.
+ */
+export function breakerStats() {
+  const stats: Record<string, { state: BreakerState; failures: number; openedAt?: string }> = {};
+  breakers.forEach((breaker, host) => {
+    stats[host] = {
+      state: breaker.state,
+      failures: breaker.failures,
+      openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : undefined,
+    };
+  });
+  return stats;
+}
+
+export function resetBreakers() {
+  breakers.clear();
+}
+
+export function installRetry() {
+  useInterceptor("retry", retryInterceptor);
+}
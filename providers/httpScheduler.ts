@@ -0,0 +1,204 @@
+import { HttpRequest, HttpResponse, useInterceptor } from "./httpInterceptors";
+import { loadProviderConfig, RateLimit } from "./providerConfig";
+
+/**
+ * Per-host pacing of outbound requests. Every provider gets a token bucket
+ * and a concurrency limit for each hostname it talks to, so bursts like
+ * `Promise.all` over a dozen servers are spread out instead of getting our
+ * IP throttled. Limits come from `rateLimits` in provider-config.json:
+ * `default`, then `providers[provider]`, then `hosts[hostname]`.
+ *
+ * A request holds its slot until the response headers arrive (for axios
+ * that includes the body, unless it is a stream). Reading a fetch body or
+ * an axios stream afterwards isn't counted, so a response whose body is
+ * never read or cancelled can't hold a slot forever.
+ */
+
+export const DEFAULT_RATE_LIMIT: RateLimit = {
+  rate: 5,
+  burst: 10,
+  concurrency: 4,
+};
+
+interface Waiter {
+  resolve: () => void;
+  reject: (reason: any) => void;
+}
+
+class HostQueue {
+  limit: RateLimit;
+  tokens: number;
+  refilledAt = Date.now();
+  active = 0;
+  waiting: Waiter[] = [];
+  private timer: ReturnType<typeof setTimeout> | null = null;
+
+  constructor(limit: RateLimit) {
+    this.limit = limit;
+    this.tokens = limit.burst;
+  }
+
+  acquire(signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const waiter: Waiter = { resolve, reject };
+      const onAbort = () => {
+        const index = this.waiting.indexOf(waiter);
+        if (index !== -1) {
+          this.waiting.splice(index, 1);
+          reject(signal?.reason);
+        }
+      };
+      waiter.resolve = () => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      this.waiting.push(waiter);
+      this.pump();
+    });
+  }
+
+  release() {
+    this.active--;
+    this.pump();
+  }
+
+  setLimit(limit: RateLimit) {
+    this.refill();
+    this.limit = limit;
+    this.tokens = Math.min(this.tokens, limit.burst);
+    this.pump();
+  }
+
+  private refill() {
+    const now = Date.now();
+    this.tokens = Math.min(
+      this.limit.burst,
+      this.tokens + ((now - this.refilledAt) / 1000) * this.limit.rate
+    );
+    this.refilledAt = now;
+  }
+
+  private pump() {
+    while (this.waiting.length > 0 && this.active < this.limit.concurrency) {
+      this.refill();
+      if (this.tokens < 1) {
+        if (!this.timer) {
+          const wait = ((1 - this.tokens) / this.limit.rate) * 1000;
+          this.timer = setTimeout(() => {
+            this.timer = null;
+            this.pump();
+          }, Math.ceil(wait));
+        }
+        return;
+      }
+      this.tokens--;
+      this.active++;
+      this.waiting.shift()!.resolve();
+    }
+  }
+}
+
+// On globalThis for the same reason as the interceptor chain: reloaded
+// copies of this module must share the queues already in use
+const queues: Map<string, HostQueue> = ((globalThis as any).__providerHttpQueues ??=
+  new Map());
+
+function hostname(url: string) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return "";
+  }
+}
+
+export function rateLimitFor(provider: string, host: string): RateLimit {
+  const config = loadProviderConfig().rateLimits || {};
+  return {
+    ...DEFAULT_RATE_LIMIT,
+    ...config.default,
+    ...config.providers?.[provider],
+    ...config.hosts?.[host],
+  };
+}
+
+function queueFor(provider: string, host: string) {
+  const key = `${provider}|${host}`;
+  let queue = queues.get(key);
+  if (!queue) {
+    queue = new HostQueue(rateLimitFor(provider, host));
+    queues.set(key, queue);
+  }
+  return queue;
+}
+
+/**
+ * Run `fn` once the provider's queue for `url`'s host has a free slot and a
+ * token. Rejects with the signal's reason if it aborts while waiting.
+ */
+export async function schedule<T>(
+  provider: string,
+  url: string,
+  fn: () => Promise<T>,
+  signal?: AbortSignal
+): Promise<T> {
+  const queue = queueFor(provider, hostname(url));
+  await queue.acquire(signal);
+  try {
+    return await fn();
+  } finally {
+    queue.release();
+  }
+}
+
+async function schedulerInterceptor(
+  request: HttpRequest,
+  next: (request: HttpRequest) => Promise<HttpResponse>
+) {
+  // Replayed cassettes never reach the network
+  if (request.scope?.cassette?.mode === "replay") {
+    return next(request);
+  }
+  return schedule(
+    request.scope?.provider || "",
+    request.url,
+    () => next(request),
+    request.options.signal
+  );
+}
+
+/**
+ * Current queues as `{ "provider|host": { active, waiting, tokens } }`.
+ */
+export function schedulerStats() {
+  const stats: Record<string, { active: number; waiting: number; tokens: number }> = {};
+  queues.forEach((queue, key) => {
+    stats[key] = {
+      active: queue.active,
+      waiting: queue.waiting.length,
+      tokens: Math.floor(queue.tokens),
+    };
+  });
+  return stats;
+}
+
+/**
+ * Apply the current `rateLimits` to every queue, after provider-config.json
+ * was reloaded. Requests in flight count against the new limits.
+ */
+export function reloadRateLimits() {
+  queues.forEach((queue, key) => {
+    const [provider, host] = key.split("|");
+    queue.setLimit(rateLimitFor(provider, host));
+  });
+}
+
+export function installScheduler() {
+  useInterceptor("scheduler", schedulerInterceptor);
+}
@@ -2,6 +2,8 @@ import axios from 'axios';
 import * as cheerio from 'cheerio';
 import {Stream} from './types';
 import {headers} from './headers';
+import {fail} from './providerErrors';
+import {directLinks} from './hosterLinks';
 
 const decode = function (value: string) {
   if (value === undefined) {
@@ -40,17 +42,11 @@ export async function hubcloudExtracter(link: string, signal: AbortSignal) {
     const linkClass = $('.btn-success.btn-lg.h6,.btn-danger,.btn-secondary');
     for (const element of linkClass) {
       const itm = $(element);
-      let link = itm.attr('href') || '';
-      if (link?.includes('.dev') && !link?.includes('/?id=')) {
-        streamLinks.push({server: 'Cf Worker', link: link, type: 'mkv'});
-      }
-      if (link?.includes('pixeld')) {
-        if (!link?.includes('api')) {
-          const token = link.split('/').pop();
-          const baseUrl = link.split('/').slice(0, -2).join('/');
-          link = `${baseUrl}/api/file/${token}?download`;
-        }
-        streamLinks.push({server: 'Pixeldrain', link: link, type: 'mkv'});
+      const link = itm.attr('href') || '';
+      // Pixeldrain, FastDl, HubCdn, Cloudflare storage and workers
+      if (directLinks.find(link)) {
+        streamLinks.push(...(await directLinks.resolve(link, signal)));
+        continue;
       }
       if (link?.includes('hubcloud') || link?.includes('/?id=')) {
         try {
@@ -62,24 +58,11 @@ export async function hubcloudExtracter(link: string, signal: AbortSignal) {
           console.log('hubcloudExtracter error in hubcloud link: ', error);
         }
       }
-      if (link?.includes('cloudflarestorage')) {
-        streamLinks.push({server: 'CfStorage', link: link, type: 'mkv'});
-      }
-      if (link?.includes('fastdl')) {
-        streamLinks.push({server: 'FastDl', link: link, type: 'mkv'});
-      }
-      if (link.includes('hubcdn')) {
-        streamLinks.push({
-          server: 'HubCdn',
-          link: link,
-          type: 'mkv',
-        });
-      }
     }
     console.log('streamLinks', streamLinks);
     return streamLinks;
   } catch (error) {
     console.log('hubcloudExtracter error: ', error);
-    return [];
+    return fail(error, []);
   }
 }
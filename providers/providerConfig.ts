@@ -0,0 +1,82 @@
+import * as fs from "fs";
+import * as path from "path";
+import type { RetryPolicy } from "./httpRetry";
+import type { ProxySettings } from "./httpProxy";
+
+/**
+ * Optional Node-side settings for outbound scraping, read from
+ * provider-config.json in the repository root (or the file named by
+ * PROVIDER_CONFIG). Each feature reads its own top-level key.
+ */
+export interface ProviderConfig {
+  rateLimits?: {
+    default?: Partial<RateLimit>;
+    providers?: Record<string, Partial<RateLimit>>;
+    hosts?: Record<string, Partial<RateLimit>>;
+  };
+  retry?: {
+    default?: Partial<RetryPolicy>;
+    providers?: Record<string, Partial<RetryPolicy>>;
+    hosts?: Record<string, Partial<RetryPolicy>>;
+  };
+  proxy?: ProxySettings;
+  [key: string]: any;
+}
+
+export interface RateLimit {
+  // Requests per second refilled into the bucket
+  rate: number;
+  // Bucket size, i.e. how many requests may go out back to back
+  burst: number;
+  // Requests in flight at once
+  concurrency: number;
+}
+
+let cached: ProviderConfig | undefined;
+
+export function configPath() {
+  return (
+    process.env.PROVIDER_CONFIG ||
+    path.join(__dirname, "..", "provider-config.json")
+  );
+}
+
+/**
+ * The parsed config file, or `{}` when there is none. Read once; call
+ * `reloadProviderConfig` after editing the file.
+ */
+export function loadProviderConfig(): ProviderConfig {
+  if (cached) return cached;
+
+  const file = configPath();
+  cached = {};
+  if (fs.existsSync(file)) {
+    try {
+      cached = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error: any) {
+      console.error(`Invalid provider config ${file}:`, error.message);
+    }
+  }
+  return cached as ProviderConfig;
+}
+
+export function reloadProviderConfig(): ProviderConfig {
+  cached = undefined;
+  return loadProviderConfig();
+}
+
+/**
+ * Replace one top-level key of the config file (removing it when `value`
+ * is undefined), keeping the rest of the file as it is.
+ */
+export function updateProviderConfig(key: string, value: unknown): ProviderConfig {
+  const updated: ProviderConfig = { ...reloadProviderConfig() };
+  if (value === undefined) {
+    delete updated[key];
+  } else {
+    updated[key] = value;
+  }
+  fs.writeFileSync(configPath(), JSON.stringify(updated, null, 2) + "\n");
+  cached = updated;
+  return updated;
+}
@@ -6,27 +6,53 @@ import { hubcloudExtracter } from "./hubcloudExtractor";
 import { gofileExtracter } from "./gofileExtracter";
 import { superVideoExtractor } from "./superVideoExtractor";
 import { gdFlixExtracter } from "./gdflixExtractor";
+import { extractorRegistry } from "./extractorRegistry";
+import { unpacker } from "./unpacker";
+import { nodeAes } from "./aesCrypto";
+import { providerErrors } from "./providerErrors";
+import { installHttpInterceptors } from "./httpInterceptors";
+import { installRetry } from "./httpRetry";
+import { installScheduler } from "./httpScheduler";
+import { cookieJar, installCookieJar } from "./cookieJar";
+import { installProxy } from "./httpProxy";
 import { ProviderContext } from "./types";
-// import Aes from "react-native-aes-crypto"; // Not available in Node.js
-const Aes = null; // Placeholder for Node.js environment
 
 /**
  * Context for provider functions.
  * This context is used to pass common dependencies to provider functions.
  */
 
+// Route axios and fetch through the shared interceptor chain (recording,
+// replay, ...). Node only, like the rest of this file. Retries and the
+// per-host circuit breaker wrap the scheduler, so each attempt is paced;
+// extractors are covered too, as they use the same clients. The cookie
+// jar comes next, so every attempt sends the latest cookies, and the
+// outbound proxy (provider-config.json `proxy`) picks the route last.
+installHttpInterceptors();
+installRetry();
+installScheduler();
+installCookieJar();
+installProxy();
+
+export { withCassette } from "./httpCassette";
+
 const extractors = {
   hubcloudExtracter,
   gofileExtracter,
   superVideoExtractor,
   gdFlixExtracter,
+  registry: extractorRegistry,
+  unpacker,
 };
 
 export const providerContext: ProviderContext = {
   axios,
   getBaseUrl,
   commonHeaders: headers,
-  Aes,
+  // react-native-aes-crypto doesn't run in Node; same API on node:crypto
+  Aes: nodeAes,
   cheerio,
   extractors,
+  errors: providerErrors,
+  cookies: cookieJar,
 };
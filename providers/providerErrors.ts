@@ -0,0 +1,159 @@
+import { ProviderErrorCode, ProviderErrorDetails, ProviderErrors } from "./types";
+
+/**
+ * Base class for failures a provider wants to report instead of returning
+ * an empty list. `code` tells "no results" apart from "site blocked us",
+ * "markup changed" and so on.
+ */
+export class ProviderError extends Error {
+  code: ProviderErrorCode;
+  provider?: string;
+  upstreamStatus?: number;
+  url?: string;
+  cause?: unknown;
+
+  constructor(
+    code: ProviderErrorCode,
+    message: string,
+    details: ProviderErrorDetails = {}
+  ) {
+    super(message);
+    this.name = "ProviderError";
+    this.code = code;
+    this.provider = details.provider;
+    this.upstreamStatus = details.upstreamStatus;
+    this.url = details.url;
+    this.cause = details.cause;
+  }
+}
+
+export class NotFoundError extends ProviderError {
+  constructor(message: string, details?: ProviderErrorDetails) {
+    super("NOT_FOUND", message, details);
+    this.name = "NotFoundError";
+  }
+}
+
+export class BlockedError extends ProviderError {
+  constructor(message: string, details?: ProviderErrorDetails) {
+    super("BLOCKED", message, details);
+    this.name = "BlockedError";
+  }
+}
+
+export class ParseError extends ProviderError {
+  constructor(message: string, details?: ProviderErrorDetails) {
+    super("PARSE_ERROR", message, details);
+    this.name = "ParseError";
+  }
+}
+
+export class TimeoutError extends ProviderError {
+  constructor(message: string, details?: ProviderErrorDetails) {
+    super("TIMEOUT", message, details);
+    this.name = "TimeoutError";
+  }
+}
+
+export class NetworkError extends ProviderError {
+  constructor(message: string, details?: ProviderErrorDetails) {
+    super("NETWORK_ERROR", message, details);
+    this.name = "NetworkError";
+  }
+}
+
+export class BaseUrlMissingError extends ProviderError {
+  constructor(message: string, details?: ProviderErrorDetails) {
+    super("BASE_URL_MISSING", message, details);
+    this.name = "BaseUrlMissingError";
+  }
+}
+
+const NETWORK_CODES = [
+  "ENOTFOUND",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "EAI_AGAIN",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "EPIPE",
+  "ERR_NETWORK",
+  // The outbound proxy refused or failed the connection
+  "ERR_PROXY",
+];
+
+/**
+ * Map an upstream HTTP status to an error.
+ */
+export function fromStatus(status: number, url?: string): ProviderError {
+  const details = { upstreamStatus: status, url };
+  if (status === 401 || status === 403 || status === 429) {
+    return new BlockedError(`Upstream refused the request (${status})`, details);
+  }
+  if (status === 404 || status === 410) {
+    return new NotFoundError(`Upstream page not found (${status})`, details);
+  }
+  return new ProviderError("UPSTREAM_ERROR", `Upstream responded with ${status}`, details);
+}
+
+/**
+ * Classify any thrown value (axios error, fetch error, parser TypeError...)
+ * as a ProviderError. ProviderErrors are returned unchanged.
+ */
+export function toProviderError(error: unknown): ProviderError {
+  if (error instanceof ProviderError) {
+    return error;
+  }
+
+  const err = (error || {}) as any;
+  const message = err.message || String(error);
+  const code = err.code || err.cause?.code;
+  const url = err.config?.url;
+
+  if (err.response?.status) {
+    const mapped = fromStatus(err.response.status, url);
+    mapped.cause = error;
+    return mapped;
+  }
+  if (code === "ECONNABORTED" || code === "ETIMEDOUT" || err.name === "TimeoutError") {
+    return new TimeoutError(message, { url, cause: error });
+  }
+  if (code === "ERR_CANCELED" || err.name === "AbortError" || err.name === "CanceledError") {
+    return new ProviderError("CANCELLED", message, { url, cause: error });
+  }
+  if (NETWORK_CODES.includes(code) || message === "fetch failed") {
+    return new NetworkError(message, { url, cause: error });
+  }
+  if (error instanceof SyntaxError || error instanceof TypeError) {
+    return new ParseError(message, { cause: error });
+  }
+  return new ProviderError("UNKNOWN", message, { cause: error });
+}
+
+// Off by default so callers that expect the old `return []` behaviour keep
+// getting it; the dev server turns it on.
+let throwOnFailure = false;
+
+export function setThrowOnFailure(value: boolean) {
+  throwOnFailure = value;
+}
+
+/**
+ * Report a failure from a provider or extractor catch block. Throws the
+ * classified ProviderError when throwing is enabled, otherwise logs it and
+ * returns `fallback`.
+ */
+export function fail<T>(error: unknown, fallback: T): T {
+  const providerError = toProviderError(error);
+  if (throwOnFailure) {
+    throw providerError;
+  }
+  console.log(`${providerError.code}: ${providerError.message}`);
+  return fallback;
+}
+
+export const providerErrors: ProviderErrors = {
+  create: (code, message, details) => new ProviderError(code, message, details),
+  fromStatus,
+  fail,
+};
@@ -18,6 +18,12 @@ export const getStream = async function ({
     const url = `https://febbox.vercel.app/api/video-quality?fid=${epId}`;
     const res = await axios.get(url, { signal });
     const data = res.data;
+    if (!data?.html && providerContext.errors) {
+      throw providerContext.errors.create(
+        "PARSE_ERROR",
+        "febbox response has no quality list"
+      );
+    }
     const $ = cheerio.load(data.html);
     $(".file_quality").each((i, el) => {
       const server =
@@ -37,6 +43,6 @@ export const getStream = async function ({
     });
     return stream;
   } catch (err) {
-    return [];
+    return providerContext.errors?.fail(err, []) ?? [];
   }
 };
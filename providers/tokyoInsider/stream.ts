@@ -11,6 +11,9 @@ export const getStream = async function ({
     const { cheerio } = providerContext;
     const url = link;
     const res = await fetch(url);
+    if (!res.ok && providerContext.errors) {
+      throw providerContext.errors.fromStatus(res.status, url);
+    }
     const data = await res.text();
     const $ = cheerio.load(data);
     const streamLinks: Stream[] = [];
@@ -28,6 +31,6 @@ export const getStream = async function ({
     });
     return streamLinks;
   } catch (err) {
-    return [];
+    return providerContext.errors?.fail(err, []) ?? [];
   }
 };
@@ -100,18 +100,22 @@ export interface ProviderType {
   }) => Promise<Post[]>;
   GetEpisodeLinks?: ({
     url,
+    signal,
     providerContext,
   }: {
     url: string;
+    signal: AbortSignal;
     providerContext: ProviderContext;
   }) => Promise<EpisodeLink[]>;
   GetMetaData: ({
     link,
     provider,
+    signal,
     providerContext,
   }: {
     link: string;
     provider: Content["provider"];
+    signal: AbortSignal;
     providerContext: ProviderContext;
   }) => Promise<Info>;
   GetSearchPosts: ({
@@ -129,9 +133,157 @@ export interface ProviderType {
   }) => Promise<Post[]>;
 }
 
+// Why a provider call failed
+export type ProviderErrorCode =
+  | "NOT_FOUND"
+  | "BLOCKED"
+  | "PARSE_ERROR"
+  | "TIMEOUT"
+  | "CANCELLED"
+  | "NETWORK_ERROR"
+  | "UPSTREAM_ERROR"
+  | "BASE_URL_MISSING"
+  | "UNSUPPORTED"
+  | "UNKNOWN";
+
+export interface ProviderErrorDetails {
+  provider?: string;
+  upstreamStatus?: number;
+  url?: string;
+  cause?: unknown;
+}
+
+export interface ProviderErrors {
+  // Build an error to throw, e.g. create("PARSE_ERROR", "no player found")
+  create: (
+    code: ProviderErrorCode,
+    message: string,
+    details?: ProviderErrorDetails
+  ) => Error & { code: ProviderErrorCode };
+  // Build an error from an upstream HTTP status (403 -> BLOCKED, 404 -> NOT_FOUND)
+  fromStatus: (status: number, url?: string) => Error & { code: ProviderErrorCode };
+  // Use in catch blocks: throws a classified error where the host wants
+  // errors (dev server), otherwise returns `fallback`
+  fail: <T>(error: unknown, fallback: T) => T;
+}
+
+// Extractors turn a hoster link (hubcloud, gdflix, pixeldrain...) into
+// streams; see extractorRegistry.ts
+export interface ExtractorContext {
+  signal?: AbortSignal;
+  // How many redirects led here (0 for the link passed to resolve)
+  depth: number;
+  // Resolve another hoster link found on the page, e.g. a mirror
+  resolve: (url: string) => Promise<Stream[]>;
+}
+
+export interface Extractor {
+  name: string;
+  // Hostnames handled: "pixeldrain.com" matches it and its subdomains, a
+  // bare label like "hubcloud" matches any hostname containing that label
+  // (hubcloud.one, new4.hubcloud.foo)
+  hosts?: string[];
+  // Tested against the whole URL
+  patterns?: RegExp[];
+  // Streams, or the next URL to resolve (redirect and interstitial pages)
+  extract: (url: string, context: ExtractorContext) => Promise<Stream[] | string>;
+}
+
+export interface ExtractorRegistry {
+  register: (extractor: Extractor) => void;
+  find: (url: string) => Extractor | undefined;
+  resolve: (url: string, signal?: AbortSignal) => Promise<Stream[]>;
+  list: () => { name: string; hosts: string[]; patterns: string[] }[];
+}
+
+// providerContext.Aes: react-native-aes-crypto in the app, aesCrypto.ts in
+// Node. Keys, IVs and digests are hex, ciphertexts base64. Only the modes
+// the native module has (CBC and CTR) are available.
+export type AesAlgorithm =
+  | "aes-128-cbc"
+  | "aes-192-cbc"
+  | "aes-256-cbc"
+  | "aes-128-ctr"
+  | "aes-192-ctr"
+  | "aes-256-ctr";
+
+export type Pbkdf2Algorithm = "sha1" | "sha256" | "sha512";
+
+export interface AesCrypto {
+  encrypt: (text: string, key: string, iv: string, algorithm: AesAlgorithm) => Promise<string>;
+  decrypt: (ciphertext: string, key: string, iv: string, algorithm: AesAlgorithm) => Promise<string>;
+  // `length` is the key size in bits
+  pbkdf2: (password: string, salt: string, cost: number, length: number, algorithm: Pbkdf2Algorithm) => Promise<string>;
+  pbkdf2Sync: (password: string, salt: string, cost: number, length: number, algorithm: Pbkdf2Algorithm) => string;
+  hmac256: (text: string, key: string) => Promise<string>;
+  hmac512: (text: string, key: string) => Promise<string>;
+  // `length` random bytes
+  randomKey: (length: number) => Promise<string>;
+  randomUuid: () => Promise<string>;
+  sha1: (text: string) => Promise<string>;
+  sha256: (text: string) => Promise<string>;
+  sha512: (text: string) => Promise<string>;
+}
+
+// Cookies the dev server captured from Set-Cookie; see cookieJar.ts
+export interface StoredCookie {
+  name: string;
+  value: string;
+  domain: string;
+  // Set without a Domain attribute: sent to that exact host only
+  hostOnly: boolean;
+  path: string;
+  // Epoch milliseconds; session cookies have none
+  expires?: number;
+  secure: boolean;
+  httpOnly: boolean;
+}
+
+// The calling provider's cookies. Stored ones are sent automatically; this
+// is for reading a value (a token in a cookie) or dropping a bad session.
+export interface CookieJar {
+  get: (url: string) => StoredCookie[];
+  // `Cookie` header value for `url`
+  header: (url: string) => string;
+  set: (url: string, setCookie: string | string[]) => void;
+  // Everything, or the cookies of `domain` and its subdomains
+  clear: (domain?: string) => number;
+}
+
+// Obfuscated player pages (packed, base64, JSFuck); see unpacker.ts
+export interface PlayerSource {
+  file: string;
+  label?: string;
+  type?: string;
+}
+
+export interface PlayerTrack {
+  file: string;
+  label?: string;
+  kind?: string;
+  language?: string;
+}
+
+export interface PlayerConfig {
+  sources: PlayerSource[];
+  tracks: PlayerTrack[];
+}
+
+export interface Unpacker {
+  // The page with every packer, atob and JSFuck layer undone
+  unpack: (source: string) => string;
+  // Sources and subtitle tracks of an already unpacked page
+  extractPlayerConfig: (source: string, baseUrl?: string) => PlayerConfig;
+  // unpack + extractPlayerConfig, as streams carrying the subtitles
+  playerStreams: (
+    source: string,
+    options: { server: string; baseUrl?: string; headers?: Record<string, string> }
+  ) => Stream[];
+}
+
 export type ProviderContext = {
   axios: AxiosStatic;
-  Aes: any; // AES encryption utility, if used
+  Aes: AesCrypto;
   getBaseUrl: (providerValue: string) => Promise<string>;
   commonHeaders: Record<string, string>;
   cheerio: typeof cheerio;
@@ -143,5 +295,14 @@ export type ProviderContext = {
     }>;
     superVideoExtractor: (data: any) => Promise<string>;
     gdFlixExtracter: (link: string, signal: AbortSignal) => Promise<Stream[]>;
+    // Not available in older app builds, always use with `?.`
+    registry?: ExtractorRegistry;
+    // Not available in older app builds, always use with `?.`
+    unpacker?: Unpacker;
   };
+  // Not available in older app builds, always use with `?.`
+  errors?: ProviderErrors;
+  // Node only (the app's native HTTP stack keeps its own cookies), always
+  // use with `?.`
+  cookies?: CookieJar;
 };
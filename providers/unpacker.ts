@@ -0,0 +1,463 @@
+import { PlayerConfig, PlayerSource, PlayerTrack, Stream, TextTracks } from "./types";
+
+// Deobfuscation for embed hosts: Dean Edwards' packer (any radix),
+// atob() chains and JSFuck-style constant expressions. unpack() applies
+// them until nothing changes, then extractPlayerConfig() reads the sources
+// and subtitle tracks out of the player setup.
+
+// Passes over the source before giving up on ever more nested payloads
+const MAX_PASSES = 10;
+
+// ---------------------------------------------------------------------------
+// P.A.C.K.E.R.
+
+const PACKER_START = /eval\(\s*function\s*\(\s*\w+\s*,\s*\w+\s*,\s*\w+\s*,\s*\w+\s*,\s*\w+\s*,\s*\w+\s*\)\s*\{/g;
+
+/**
+ * Read the JS string literal starting at `start` (at its quote). Returns
+ * the decoded value and the index after the closing quote.
+ */
+function readString(source: string, start: number): { value: string; end: number } | null {
+  const quote = source[start];
+  if (quote !== "'" && quote !== '"') return null;
+  let value = "";
+  for (let i = start + 1; i < source.length; i++) {
+    const char = source[i];
+    if (char === quote) return { value, end: i + 1 };
+    if (char !== "\\") {
+      value += char;
+      continue;
+    }
+    const next = source[++i];
+    if (next === "x") {
+      value += String.fromCharCode(parseInt(source.substr(i + 1, 2), 16));
+      i += 2;
+    } else if (next === "u") {
+      value += String.fromCharCode(parseInt(source.substr(i + 1, 4), 16));
+      i += 4;
+    } else {
+      value += { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f", v: "\v", "0": "\0" }[next] ?? next;
+    }
+  }
+  return null;
+}
+
+/**
+ * The packer's word encoding for radix `radix`: base 36 digits, then A-Z
+ * up to 62, or characters from \xa1 in the "high ASCII" mode (radix 95).
+ */
+function packerWord(c: number, radix: number): string {
+  const prefix = c < radix ? "" : packerWord(Math.floor(c / radix), radix);
+  const digit = c % radix;
+  if (radix > 62) return prefix + String.fromCharCode(digit + 161);
+  return prefix + (digit > 35 ? String.fromCharCode(digit + 29) : digit.toString(36));
+}
+
+export function decodePacked(payload: string, radix: number, count: number, keywords: string[]) {
+  const dictionary: Record<string, string> = {};
+  for (let c = count - 1; c >= 0; c--) {
+    const word = packerWord(c, radix);
+    dictionary[word] = keywords[c] || word;
+  }
+  const pattern = radix > 62 ? /[\xa1-\xff]+/g : /\b\w+\b/g;
+  return payload.replace(pattern, (word) =>
+    Object.prototype.hasOwnProperty.call(dictionary, word) ? dictionary[word] : word
+  );
+}
+
+/**
+ * Replace every `eval(function(p,a,c,k,e,d){...}(...))` in `source` with
+ * the code it unpacks to.
+ */
+export function unpackPacker(source: string): string {
+  let output = "";
+  let last = 0;
+  PACKER_START.lastIndex = 0;
+
+  let match: RegExpExecArray | null;
+  while ((match = PACKER_START.exec(source))) {
+    const bodyEnd = /\}\s*\(\s*(?=['"])/g;
+    bodyEnd.lastIndex = match.index + match[0].length;
+    const call = bodyEnd.exec(source);
+    if (!call) break;
+
+    const payload = readString(source, call.index + call[0].length);
+    if (!payload) continue;
+    const numbers = /^\s*,\s*(\d+|\[\]\.length)\s*,\s*(\d+)\s*,\s*(?=['"])/.exec(source.slice(payload.end));
+    if (!numbers) continue;
+    const keywordsAt = payload.end + numbers[0].length;
+    const keywords = readString(source, keywordsAt);
+    if (!keywords) continue;
+    const tail = /^\.split\(\s*(['"])\|\1\s*\)[^()]*(?:\{\})?[^()]*\)\s*\)/.exec(source.slice(keywords.end));
+    if (!tail) continue;
+
+    const radix = numbers[1] === "[].length" ? 0 : Number(numbers[1]);
+    const count = Number(numbers[2]);
+    output += source.slice(last, match.index);
+    output += decodePacked(payload.value, radix || 62, count, keywords.value.split("|"));
+    last = keywords.end + tail[0].length;
+    PACKER_START.lastIndex = last;
+  }
+  return output + source.slice(last);
+}
+
+// ---------------------------------------------------------------------------
+// atob()
+
+const ATOB_CALL = /(?:window\.)?atob\(\s*(['"])([A-Za-z0-9+/=\s]*)\1\s*\)/g;
+const EVAL_STRING = /eval\(\s*("(?:[^"\\]|\\.)*")\s*\)/g;
+
+function isText(value: string) {
+  // Mostly printable ASCII: decoded script or a URL, not binary data. atob()
+  // yields Latin-1, so every byte above 0x7e counts as unprintable.
+  const printable = value.replace(/[^\x20-\x7e\t\r\n]/g, "");
+  return value.length > 0 && printable.length / value.length > 0.95;
+}
+
+/**
+ * Inline `atob("...")` calls as string literals, and `eval("...")` of a
+ * literal as the code itself, so nested base64 layers open up pass by pass.
+ */
+export function decodeAtob(source: string): string {
+  const decoded = source.replace(ATOB_CALL, (call, _quote, data) => {
+    try {
+      const text = atob(data.replace(/\s+/g, ""));
+      return isText(text) ? JSON.stringify(text) : call;
+    } catch (error) {
+      return call;
+    }
+  });
+  return decoded.replace(EVAL_STRING, (call, literal) => {
+    try {
+      return JSON.parse(literal);
+    } catch (error) {
+      return call;
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// JSFuck-lite
+
+type JsValue = string | number | boolean | undefined | JsValue[];
+
+class UnsafeExpression extends Error {}
+
+function toPrimitive(value: JsValue): string | number | boolean | undefined {
+  if (Array.isArray(value)) {
+    return value.map((item) => (item === undefined ? "" : String(toPrimitive(item)))).join(",");
+  }
+  return value;
+}
+
+/**
+ * Evaluate an expression made only of `[]()!+`, the way a browser would,
+ * for the constant strings and numbers JSFuck builds (`(![]+[])[+[]]` is
+ * "f"). Anything that would reach a function, such as
+ * `[]["filter"]["constructor"]`, throws instead: nothing is executed.
+ */
+export function evalJsFuck(expression: string): string | number | boolean | undefined {
+  let pos = 0;
+  const peek = () => expression[pos];
+  const expect = (char: string) => {
+    if (expression[pos] !== char) throw new UnsafeExpression(`Expected ${char} at ${pos}`);
+    pos++;
+  };
+
+  const member = (object: JsValue, key: JsValue): JsValue => {
+    const name = String(toPrimitive(key));
+    const target = Array.isArray(object) ? object : typeof object === "string" ? object : null;
+    if (target === null) throw new UnsafeExpression(`Property ${name} of ${typeof object}`);
+    if (/^\d+$/.test(name)) return target[Number(name)];
+    // Only missing properties are safe: the rest are methods or `length`
+    if (name in Object(target)) throw new UnsafeExpression(`Property ${name}`);
+    return undefined;
+  };
+
+  const primary = (): JsValue => {
+    let value: JsValue;
+    if (peek() === "[") {
+      pos++;
+      value = peek() === "]" ? [] : [additive()];
+      expect("]");
+    } else if (peek() === "(") {
+      pos++;
+      value = additive();
+      expect(")");
+    } else {
+      throw new UnsafeExpression(`Unexpected ${peek() ?? "end"} at ${pos}`);
+    }
+    while (peek() === "[") {
+      pos++;
+      const key = additive();
+      expect("]");
+      value = member(value, key);
+    }
+    return value;
+  };
+
+  const unary = (): JsValue => {
+    if (peek() === "!") {
+      pos++;
+      return !truthy(unary());
+    }
+    if (peek() === "+") {
+      pos++;
+      return Number(toPrimitive(unary()));
+    }
+    return primary();
+  };
+
+  const truthy = (value: JsValue) => (Array.isArray(value) ? true : Boolean(value));
+
+  function additive(): JsValue {
+    let left = unary();
+    while (peek() === "+") {
+      pos++;
+      const a = toPrimitive(left);
+      const b = toPrimitive(unary());
+      left = typeof a === "string" || typeof b === "string" ? String(a) + String(b) : Number(a) + Number(b);
+    }
+    return left;
+  }
+
+  const result = additive();
+  if (pos !== expression.length) throw new UnsafeExpression(`Trailing input at ${pos}`);
+  return toPrimitive(result);
+}
+
+const JSFUCK_RUN = /[\[\]()!+]{6,}/g;
+
+/**
+ * Replace JSFuck-style constant expressions in `source` with the string or
+ * number they evaluate to. Runs that can't be evaluated safely are kept.
+ */
+export function decodeJsFuck(source: string): string {
+  return source.replace(JSFUCK_RUN, (run, offset: number) => {
+    if (!run.includes("[]")) return run;
+
+    // A leading + right after an operand, or a trailing +, is binary and
+    // belongs to the surrounding code
+    let start = 0;
+    let end = run.length;
+    if (/[\w"'\])]/.test(source[offset - 1] || "")) {
+      while (run[start] === "+") start++;
+    }
+    while (run[end - 1] === "+") end--;
+    // Brackets that open or close outside the run belong to the code too
+    const balance = (text: string, open: string, close: string) =>
+      text.split(open).length - text.split(close).length;
+    while (end > start && balance(run.slice(start, end), "(", ")") < 0 && run[end - 1] === ")") end--;
+    while (end > start && balance(run.slice(start, end), "[", "]") < 0 && run[end - 1] === "]") end--;
+    while (start < end && balance(run.slice(start, end), "(", ")") > 0 && run[start] === "(") start++;
+
+    const expression = run.slice(start, end);
+    if (expression.length < 4) return run;
+    try {
+      const value = evalJsFuck(expression);
+      if (typeof value !== "string" && typeof value !== "number") return run;
+      const literal = typeof value === "string" ? JSON.stringify(value) : String(value);
+      return run.slice(0, start) + `(${literal})` + run.slice(end);
+    } catch (error) {
+      return run;
+    }
+  });
+}
+
+/**
+ * Undo every known obfuscation layer in `source`, repeating until the
+ * output stops changing.
+ */
+export function unpack(source: string): string {
+  let current = source;
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    const next = decodeJsFuck(decodeAtob(unpackPacker(current)));
+    if (next === current) break;
+    current = next;
+  }
+  return current;
+}
+
+// ---------------------------------------------------------------------------
+// Player configs
+
+const MEDIA_URL = /(["'])((?:https?:)?\/\/[^"'\s]+?\.(?:m3u8|mp4|mkv|webm|mpd)(?:\?[^"'\s]*)?)\1/g;
+
+function absolute(url: string, baseUrl?: string) {
+  if (url.startsWith("//")) return `https:${url}`;
+  if (baseUrl) {
+    try {
+      return new URL(url, baseUrl).toString();
+    } catch (error) {
+      return url;
+    }
+  }
+  return url;
+}
+
+/**
+ * The `[...]` starting at `start`, brackets inside strings included.
+ */
+function bracketed(source: string, start: number) {
+  let depth = 0;
+  let quote = "";
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === "\\") i++;
+      else if (char === quote) quote = "";
+    } else if (char === '"' || char === "'" || char === "`") {
+      quote = char;
+    } else if (char === "[") {
+      depth++;
+    } else if (char === "]" && --depth === 0) {
+      return source.slice(start + 1, i);
+    }
+  }
+  return "";
+}
+
+/**
+ * String properties of each `{...}` in `list` (e.g. `{file:"..",label:".."}`),
+ * or `{ file }` for bare string items.
+ */
+function listItems(list: string): Record<string, string>[] {
+  const objects = list.match(/\{[^{}]*\}/g);
+  if (!objects) {
+    return Array.from(list.matchAll(/(["'])(.*?)\1/g), (match) => ({ file: match[2] }));
+  }
+  return objects.map((object) => {
+    const props: Record<string, string> = {};
+    for (const [, key, , value] of object.matchAll(/["']?(\w+)["']?\s*:\s*(["'])(.*?)\2/g)) {
+      props[key.toLowerCase()] = value;
+    }
+    return props;
+  });
+}
+
+function attribute(tag: string, name: string) {
+  return tag.match(new RegExp(`\\b${name}\\s*=\\s*(["'])(.*?)\\1`, "i"))?.[2];
+}
+
+/**
+ * Every video source and subtitle track in an (unpacked) player page:
+ * JW Player/Video.js `sources` and `tracks` lists, single `file:` setups,
+ * Mixdrop's `MDCore.wurl`, HTML `<source>`/`<track>` tags and, when all
+ * of that fails, any quoted media URL.
+ */
+export function extractPlayerConfig(source: string, baseUrl?: string): PlayerConfig {
+  // Configs embedded as JSON escape their slashes and quotes
+  const text = source.replace(/\\\//g, "/").replace(/\\"/g, '"');
+  const sources: PlayerSource[] = [];
+  const tracks: PlayerTrack[] = [];
+  // Every file of a track list, thumbnails included, so none is taken for
+  // a video source below
+  const trackFiles = new Set<string>();
+  const addSource = (item: PlayerSource) => {
+    if (!item.file || sources.some((known) => known.file === absolute(item.file, baseUrl))) return;
+    sources.push({ ...item, file: absolute(item.file, baseUrl) });
+  };
+  const addTrack = (item: PlayerTrack) => {
+    if (!item.file || tracks.some((known) => known.file === absolute(item.file, baseUrl))) return;
+    tracks.push({ ...item, file: absolute(item.file, baseUrl) });
+  };
+
+  for (const match of text.matchAll(/["']?(sources|tracks|captions|subtitles)["']?\s*:\s*\[/g)) {
+    const list = bracketed(text, match.index! + match[0].length - 1);
+    const isTrack = match[1] !== "sources";
+    for (const props of listItems(list)) {
+      const file = props.file || props.src || props.url;
+      if (isTrack) {
+        trackFiles.add(file);
+        if (props.kind === "thumbnails" || props.kind === "chapters") continue;
+        addTrack({ file, label: props.label, kind: props.kind, language: props.language || props.lang || props.srclang });
+      } else {
+        addSource({ file, label: props.label || props.res || props.quality, type: props.type });
+      }
+    }
+  }
+
+  for (const match of text.matchAll(/MDCore\.wurl\s*=\s*(["'])([^"']+)\1/g)) {
+    addSource({ file: match[2] });
+  }
+  for (const match of text.matchAll(/\bfile\s*["']?\s*:\s*(["'])([^"']+)\1/g)) {
+    if (!trackFiles.has(match[2])) {
+      const label = text.slice(match.index!, match.index! + 200).match(/\blabel\s*["']?\s*:\s*(["'])([^"']*)\1/)?.[2];
+      addSource({ file: match[2], label });
+    }
+  }
+  for (const tag of text.match(/<source\b[^>]*>/gi) || []) {
+    addSource({ file: attribute(tag, "src") || "", label: attribute(tag, "label") || attribute(tag, "size"), type: attribute(tag, "type") });
+  }
+  for (const tag of text.match(/<track\b[^>]*>/gi) || []) {
+    const kind = attribute(tag, "kind");
+    if (kind === "thumbnails" || kind === "chapters" || kind === "metadata") continue;
+    addTrack({ file: attribute(tag, "src") || "", label: attribute(tag, "label"), kind, language: attribute(tag, "srclang") });
+  }
+
+  if (sources.length === 0) {
+    for (const match of text.matchAll(MEDIA_URL)) {
+      addSource({ file: match[2] });
+    }
+  }
+  return { sources, tracks };
+}
+
+const QUALITIES = ["360", "480", "720", "1080", "2160"] as const;
+
+function streamType(item: PlayerSource) {
+  const type = (item.type || "").toLowerCase();
+  if (type.includes("mpegurl") || type === "hls") return "m3u8";
+  if (type.includes("dash")) return "mpd";
+  if (type.includes("/")) return type.split("/")[1];
+  if (type) return type;
+  const extension = item.file.split(/[?#]/)[0].match(/\.(\w+)$/)?.[1]?.toLowerCase();
+  return extension && extension !== "php" ? extension : "m3u8";
+}
+
+function quality(label?: string): Stream["quality"] {
+  if (!label) return undefined;
+  if (/\b4k\b|uhd/i.test(label)) return "2160";
+  const height = label.match(/(\d{3,4})\s*p?/i)?.[1];
+  return QUALITIES.find((value) => value === height);
+}
+
+function subtitleType(file: string): TextTracks[number]["type"] {
+  const extension = file.split(/[?#]/)[0].match(/\.(\w+)$/)?.[1]?.toLowerCase();
+  if (extension === "srt") return "application/x-subrip";
+  if (extension === "ttml" || extension === "dfxp" || extension === "xml") return "application/ttml+xml";
+  return "text/vtt";
+}
+
+/**
+ * Streams for every source in a player page, each with all of the page's
+ * subtitle tracks. `server` names them ("SuperVideo 720p" when there are
+ * several); `headers` are attached to each stream.
+ */
+export function playerStreams(
+  source: string,
+  { server, baseUrl, headers }: { server: string; baseUrl?: string; headers?: Record<string, string> }
+): Stream[] {
+  const { sources, tracks } = extractPlayerConfig(unpack(source), baseUrl);
+  const subtitles: TextTracks = tracks.map((track) => ({
+    title: track.label || track.language || "Subtitle",
+    language: track.language || track.label || "und",
+    type: subtitleType(track.file),
+    uri: track.file,
+  }));
+
+  return sources.map((item) => ({
+    server: sources.length > 1 && item.label ? `${server} ${item.label}` : server,
+    link: item.file,
+    type: streamType(item),
+    ...(quality(item.label) ? { quality: quality(item.label) } : {}),
+    ...(subtitles.length > 0 ? { subtitles } : {}),
+    ...(headers ? { headers } : {}),
+  }));
+}
+
+export const unpacker = {
+  unpack,
+  extractPlayerConfig,
+  playerStreams,
+};
@@ -0,0 +1,193 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { isDeepStrictEqual } = require("util");
+const { createBundleVerifier } = require("./lib/bundle-integrity");
+
+const DIST_DIR = path.join(__dirname, "dist");
+const PROVIDERS_DIR = path.join(__dirname, "providers");
+
+// Recordings are only compared against bundles that match manifest.json
+const verifier = createBundleVerifier(__dirname);
+
+// Compiled module that exports each provider function
+const functionModules = {
+  getPosts: "posts",
+  getSearchPosts: "posts",
+  getMeta: "meta",
+  getEpisodes: "episodes",
+  getStream: "stream",
+};
+
+function loadProviderFunction(provider, functionName) {
+  const moduleName = functionModules[functionName];
+  if (!moduleName) {
+    throw new Error(`Unknown function: ${functionName}`);
+  }
+
+  const modulePath = path.join(DIST_DIR, provider, `${moduleName}.js`);
+  if (!fs.existsSync(modulePath)) {
+    throw new Error(
+      `${provider}/${moduleName}.js not found. Run 'npm run build' first.`
+    );
+  }
+
+  verifier?.check(provider);
+  const providerFunction = require(modulePath)[functionName];
+  if (!providerFunction) {
+    throw new Error(`Function not exported: ${functionName} from ${provider}`);
+  }
+  return providerFunction;
+}
+
+/**
+ * Run one provider function with a cassette in record or replay mode.
+ */
+async function runWithCassette(mode, provider, functionName, params, name) {
+  const { providerContext, withCassette } = require(path.join(
+    DIST_DIR,
+    "providerContext.js"
+  ));
+  const providerFunction = loadProviderFunction(provider, functionName);
+
+  return withCassette(
+    { mode, provider, name, functionName, params },
+    () =>
+      providerFunction({
+        ...params,
+        providerValue: provider,
+        signal: new AbortController().signal,
+        providerContext,
+      })
+  );
+}
+
+/**
+ * List recorded cassettes, optionally for one provider only.
+ */
+function findCassettes(providerFilter) {
+  const cassettes = [];
+  for (const provider of fs.readdirSync(PROVIDERS_DIR)) {
+    if (providerFilter && provider !== providerFilter) continue;
+
+    const fixturesDir = path.join(PROVIDERS_DIR, provider, "__fixtures__");
+    if (!fs.existsSync(fixturesDir)) continue;
+
+    for (const file of fs.readdirSync(fixturesDir)) {
+      if (file.endsWith(".json")) {
+        cassettes.push({ provider, name: file.replace(/\.json$/, "") });
+      }
+    }
+  }
+  return cassettes;
+}
+
+async function record(provider, functionName, paramsJson = "{}", name) {
+  const params = JSON.parse(paramsJson);
+  const cassetteName =
+    name ||
+    `${functionName}-${crypto
+      .createHash("sha1")
+      .update(JSON.stringify(params))
+      .digest("hex")
+      .slice(0, 8)}`;
+
+  console.log(`⏺️  Recording ${provider}.${functionName} as ${cassetteName}`);
+  const result = await runWithCassette(
+    "record",
+    provider,
+    functionName,
+    params,
+    cassetteName
+  );
+  const count = Array.isArray(result) ? `${result.length} items` : "1 result";
+  console.log(
+    `✅ Saved providers/${provider}/__fixtures__/${cassetteName}.json (${count})`
+  );
+}
+
+async function replay(providerFilter) {
+  const cassettes = findCassettes(providerFilter);
+  if (cassettes.length === 0) {
+    console.log("⚠️  No cassettes found. Record one with:");
+    console.log(
+      "  node test-fixtures.js record <provider> <function> '<params json>' [name]"
+    );
+    return;
+  }
+
+  let passed = 0;
+  for (const { provider, name } of cassettes) {
+    const file = path.join(PROVIDERS_DIR, provider, "__fixtures__", `${name}.json`);
+    const cassette = JSON.parse(fs.readFileSync(file, "utf8"));
+
+    try {
+      const result = await runWithCassette(
+        "replay",
+        provider,
+        cassette.functionName,
+        cassette.params,
+        name
+      );
+      // Compare the JSON form, as that is what was recorded
+      if (isDeepStrictEqual(JSON.parse(JSON.stringify(result)), cassette.result)) {
+        passed++;
+        console.log(`✅ ${provider}/${name}`);
+      } else {
+        console.log(`❌ ${provider}/${name} - result differs from recording`);
+      }
+    } catch (error) {
+      console.log(`❌ ${provider}/${name} - ${error.message}`);
+    }
+  }
+
+  console.log(`\n📈 Results: ${passed}/${cassettes.length} cassettes passed`);
+  if (passed !== cassettes.length) {
+    process.exitCode = 1;
+  }
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case "record":
+      if (args.length < 2) {
+        console.log("❌ Please provide provider and function names");
+        process.exitCode = 1;
+        return;
+      }
+      await record(...args);
+      break;
+
+    case "replay":
+      await replay(args[0]);
+      break;
+
+    default:
+      console.log(`
+Usage: node test-fixtures.js <command> [args]
+
+Commands:
+  record <provider> <function> [params json] [name]
+                      Run against the live site and save the HTTP traffic
+                      and result to providers/<provider>/__fixtures__/
+  replay [provider]   Re-run every recorded cassette offline and compare
+                      the results with the recording
+
+Examples:
+  node test-fixtures.js record vega getSearchPosts '{"searchQuery":"avengers","page":1}'
+  node test-fixtures.js replay
+  node test-fixtures.js replay vega
+      `);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Fatal error:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runWithCassette, findCassettes };
@@ -2,6 +2,8 @@ const readline = require("readline");
 const cheerio = require("cheerio");
 const axios = require("axios");
 const { z } = require("zod");
+const { responseSchemas } = require("./lib/provider-schemas");
+const { createBundleVerifier } = require("./lib/bundle-integrity");
 const { getBaseUrl } = require("./dist/getBaseUrl.js");
 const { hubcloudExtracter } = require("./dist/hubcloudExtractor.js");
 const { gofileExtracter } = require("./dist/gofileExtracter.js");
@@ -78,8 +80,9 @@ const functionParams = {
   // Meta function
   getMeta: {
     required: ["link"],
-    optional: [],
+    optional: ["signal"],
     defaults: {
+      signal: new AbortController().signal,
       providerContext,
     },
     prompts: {
@@ -90,8 +93,9 @@ const functionParams = {
   // Episodes function
   getEpisodes: {
     required: ["url"],
-    optional: [],
+    optional: ["signal"],
     defaults: {
+      signal: new AbortController().signal,
       providerContext,
     },
     prompts: {
@@ -192,6 +196,13 @@ async function testProvider(providerName, functionName) {
     const modulePath = `./dist/${providerName}`;
     let module;
 
+    try {
+      createBundleVerifier(__dirname)?.check(providerName);
+    } catch (error) {
+      console.log(`❌ ${error.message}. Rebuild with 'npm run build'.`);
+      return;
+    }
+
     try {
       // For posts, we need to check which file has the function
       if (functionName === "getPosts" || functionName === "getSearchPosts") {
@@ -261,73 +272,6 @@ async function testProvider(providerName, functionName) {
   }
 }
 
-// Zod schemas for response validation
-const PostSchema = z.object({
-  title: z.string().min(1, "Title cannot be empty"),
-  link: z.string().url("Link must be a valid URL"),
-  image: z.string().url("Image must be a valid URL"),
-  provider: z.string().optional(),
-});
-
-const StreamSchema = z.object({
-  server: z.string().min(1, "Server name cannot be empty"),
-  link: z.string().url("Stream link must be a valid URL"),
-  type: z.string().min(1, "Type cannot be empty"),
-  quality: z.enum(["360", "480", "720", "1080", "2160"]).optional(),
-  subtitles: z
-    .array(
-      z.object({
-        title: z.string(),
-        language: z.string(),
-        type: z.string(),
-        uri: z.string().url(),
-      })
-    )
-    .optional(),
-  headers: z.any().optional(),
-});
-
-const LinkSchema = z.object({
-  title: z.string().min(1, "Link title cannot be empty"),
-  quality: z.string().optional(),
-  episodesLink: z.string().optional(),
-  directLinks: z
-    .array(
-      z.object({
-        title: z.string().min(1, "Direct link title cannot be empty"),
-        link: z.string().url("Direct link must be a valid URL"),
-        type: z.enum(["movie", "series"]).optional(),
-      })
-    )
-    .optional(),
-});
-
-const InfoSchema = z.object({
-  title: z.string().min(1, "Title cannot be empty"),
-  image: z.string().url("Image must be a valid URL"),
-  synopsis: z.string(),
-  imdbId: z.string(),
-  type: z.string().min(1, "Type cannot be empty"),
-  tags: z.array(z.string()).optional(),
-  cast: z.array(z.string()).optional(),
-  rating: z.string().optional(),
-  linkList: z.array(LinkSchema),
-});
-
-const EpisodeLinkSchema = z.object({
-  title: z.string().min(1, "Episode title cannot be empty"),
-  link: z.string().min(1, "Episode link cannot be empty"),
-});
-
-// Response schemas for each function
-const responseSchemas = {
-  getPosts: z.array(PostSchema),
-  getSearchPosts: z.array(PostSchema),
-  getMeta: InfoSchema,
-  getEpisodes: z.array(EpisodeLinkSchema),
-  getStream: z.array(StreamSchema),
-};
-
 function validateResponse(functionName, result) {
   const schema = responseSchemas[functionName];
   if (!schema) {